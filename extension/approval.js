@@ -0,0 +1,59 @@
+// Approval window for Chrome MCP Bridge
+document.addEventListener('DOMContentLoaded', () => {
+  const id = new URLSearchParams(location.search).get('id');
+  const approveBtn = document.getElementById('approveBtn');
+  const denyBtn = document.getElementById('denyBtn');
+  const countdown = document.getElementById('countdown');
+
+  // Fill a list with text items
+  function fillList(listId, items) {
+    const list = document.getElementById(listId);
+    for (const item of items) {
+      const li = document.createElement('li');
+      li.textContent = item;
+      list.appendChild(li);
+    }
+  }
+
+  // Send the decision; the background closes this window
+  function resolve(approved) {
+    approveBtn.disabled = true;
+    denyBtn.disabled = true;
+    chrome.runtime.sendMessage({ type: 'resolveApproval', id, approved }, () => {
+      window.close();
+    });
+  }
+
+  chrome.runtime.sendMessage({ type: 'getApproval', id }, (approval) => {
+    if (!approval) {
+      countdown.textContent = 'This request is no longer pending.';
+      approveBtn.disabled = true;
+      denyBtn.disabled = true;
+      return;
+    }
+
+    document.getElementById('command').textContent = approval.command;
+    document.getElementById('url').textContent = approval.url;
+    fillList('reasons', approval.reasons);
+
+    if (approval.elements.length > 0) {
+      document.getElementById('elementsSection').hidden = false;
+      fillList('elements', approval.elements);
+    }
+    if (approval.params.length > 0) {
+      document.getElementById('paramsSection').hidden = false;
+      fillList('params', approval.params);
+    }
+
+    // Show the time left until the request is rejected as timed out
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((approval.expiresAt - Date.now()) / 1000));
+      countdown.textContent = `Times out in ${seconds}s`;
+    };
+    updateCountdown();
+    setInterval(updateCountdown, 1000);
+  });
+
+  approveBtn.addEventListener('click', () => resolve(true));
+  denyBtn.addEventListener('click', () => resolve(false));
+});
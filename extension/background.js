@@ -4,10 +4,72 @@ let reconnectInterval = null;
 let authToken = null;
 let authenticated = false;
 
+// Tabs the debugger is currently attached to
+const debuggerTabs = new Set();
+// Tabs capturing response bodies, which keep the debugger attached between commands
+const bodyCaptureTabs = new Set();
+// Commands still running; the debugger is only detached once none are
+let runningCommands = 0;
+
+// Console entries captured per tab: tabId -> { entries, dropped }
+const consoleLogs = new Map();
+
+// Network requests captured per tab: tabId -> { entries, dropped }
+const networkLogs = new Map();
+// Requests still in flight, keyed by webRequest requestId
+const inflightRequests = new Map();
+// Callbacks notified when a tab's in-flight request count changes
+const networkActivityListeners = new Set();
+// Requests seen by the debugger's Network domain: tabId -> [{ requestId, url, method, ... }]
+const debuggerRequests = new Map();
+// Main-world execution contexts per tab: tabId -> Map(frameId -> contextId)
+const executionContexts = new Map();
+// Approvals waiting on the user: id -> { command, url, reasons, windowId, finish, ... }
+const pendingApprovals = new Map();
+// Serializes updates to the recordings kept in session storage
+let recordingsQueue = Promise.resolve();
+// Serializes updates to the agent sessions kept in session storage
+let agentSessionsQueue = Promise.resolve();
+// Serializes registering and unregistering the console capture script
+let consoleCaptureQueue = Promise.resolve();
+// When captureVisibleTab last ran, to stay under its calls-per-second quota
+let lastVisibleTabCapture = 0;
+
 // Configuration
 const WS_SERVER_URL = 'ws://localhost:8765';
 const RECONNECT_DELAY = 3000;
 const AUTH_TOKEN_STORAGE_KEY = 'mcp_auth_token';
+const BROWSER_ID_STORAGE_KEY = 'mcp_browser_id';
+const BROWSER_LABEL_STORAGE_KEY = 'mcp_browser_label';
+const SITE_POLICY_STORAGE_KEY = 'mcp_site_policy';
+const APPROVAL_STORAGE_KEY = 'mcp_approval_settings';
+const RECORDINGS_STORAGE_KEY = 'mcp_recordings';
+// Agent sessions by MCP server session id: { mode, windowId, groupId, tabIds, currentTabId }
+const AGENT_SESSIONS_STORAGE_KEY = 'mcp_agent_sessions';
+const AGENT_GROUP_TITLE = 'MCP agent';
+const AGENT_GROUP_COLOR = 'purple';
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+const CONSOLE_CAPTURE_SCRIPT_ID = 'mcp-console-capture';
+const MAX_CONSOLE_ENTRIES = 500;
+const MAX_NETWORK_ENTRIES = 1000;
+// Most a logged request and the debugger's record of it may differ in start time, in ms
+const REQUEST_MATCH_WINDOW = 2000;
+// Headers carrying credentials, whose values the network log redacts unless asked for
+const SENSITIVE_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie', 'set-cookie']);
+const DEFAULT_CONTENT_LENGTH = 100000;
+// Largest image side Chrome renders or encodes in one piece, in device pixels
+const MAX_CAPTURE_SIZE = 16384;
+// captureVisibleTab allows two calls per second
+const VISIBLE_TAB_CAPTURE_INTERVAL = 550;
+// Paper sizes for printToPdf, in inches
+const PAPER_SIZES = {
+  letter: { width: 8.5, height: 11 },
+  legal: { width: 8.5, height: 14 },
+  tabloid: { width: 11, height: 17 },
+  a3: { width: 11.69, height: 16.54 },
+  a4: { width: 8.27, height: 11.69 },
+  a5: { width: 5.83, height: 8.27 }
+};
 
 // Load saved auth token
 chrome.storage.local.get([AUTH_TOKEN_STORAGE_KEY], (result) => {
@@ -25,32 +87,39 @@ function connectWebSocket() {
     ws = new WebSocket(WS_SERVER_URL);
 
     ws.onopen = () => {
-      console.log('Connected to MCP server, attempting authentication...');
+      console.log('Connected to MCP server, waiting for authentication challenge...');
       clearInterval(reconnectInterval);
       reconnectInterval = null;
-
-      // Send authentication message
-      if (authToken) {
-        sendToServer({
-          type: 'auth',
-          token: authToken
-        });
-      } else {
-        console.error('No auth token available - authentication will fail');
-        console.log('Please set auth token in extension popup');
-      }
     };
 
     ws.onmessage = async (event) => {
       try {
         const message = JSON.parse(event.data);
-        console.log('Received message from server:', message);
+        // Command parameters can hold typed text and cookie values, so log only what it is
+        console.log('Received message from server:', message.type, message.command || '', message.id || '');
+
+        // Answer the server's challenge without sending the token itself
+        if (message.type === 'auth_challenge') {
+          if (authToken) {
+            const identity = await getBrowserIdentity();
+            sendToServer({
+              type: 'auth',
+              response: await signChallenge(authToken, message.nonce),
+              ...identity
+            });
+          } else {
+            console.error('No auth token available - authentication will fail');
+            console.log('Please set auth token in extension popup');
+          }
+          return;
+        }
 
         // Handle authentication response
         if (message.type === 'auth_response') {
           if (message.success) {
             authenticated = true;
             console.log('✅ Authentication successful!');
+            setConsoleCaptureEnabled(true);
           } else {
             authenticated = false;
             console.error('❌ Authentication failed:', message.message);
@@ -93,6 +162,7 @@ function connectWebSocket() {
     ws.onclose = () => {
       console.log('Disconnected from MCP server');
       ws = null;
+      setConsoleCaptureEnabled(false);
 
       // Attempt to reconnect
       if (!reconnectInterval) {
@@ -107,6 +177,71 @@ function connectWebSocket() {
   }
 }
 
+// Helper: Register the page-world console capture script only while a server is
+// connected, so pages aren't paying for wrapped console calls nobody reads
+function setConsoleCaptureEnabled(enabled) {
+  consoleCaptureQueue = consoleCaptureQueue.then(async () => {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONSOLE_CAPTURE_SCRIPT_ID] });
+    if (enabled && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: CONSOLE_CAPTURE_SCRIPT_ID,
+        matches: ['<all_urls>'],
+        js: ['console-capture.js'],
+        runAt: 'document_start',
+        allFrames: true,
+        world: 'MAIN',
+        persistAcrossSessions: false
+      }]);
+    } else if (!enabled && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONSOLE_CAPTURE_SCRIPT_ID] });
+    }
+  }).catch((error) => {
+    console.error('Failed to update console capture:', error.message);
+  });
+  return consoleCaptureQueue;
+}
+
+// Compute the hex HMAC-SHA256 of the server's nonce, keyed with the auth token
+async function signChallenge(token, nonce) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(token),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(String(nonce)));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Identify this browser/profile so the server can route commands to it
+async function getBrowserIdentity() {
+  const stored = await chrome.storage.local.get([BROWSER_ID_STORAGE_KEY, BROWSER_LABEL_STORAGE_KEY]);
+
+  let browserId = stored[BROWSER_ID_STORAGE_KEY];
+  if (!browserId) {
+    browserId = crypto.randomUUID();
+    await chrome.storage.local.set({ [BROWSER_ID_STORAGE_KEY]: browserId });
+  }
+
+  const browserName = getBrowserName();
+
+  return {
+    browserId,
+    label: stored[BROWSER_LABEL_STORAGE_KEY] || browserName,
+    browserName
+  };
+}
+
+// Browser brand from the user agent, e.g. "Google Chrome" or "Microsoft Edge"
+function getBrowserName() {
+  const brands = (navigator.userAgentData && navigator.userAgentData.brands) || [];
+  const brand = brands.find(b => !/not.a.brand|chromium/i.test(b.brand)) ||
+    brands.find(b => /chromium/i.test(b.brand));
+  return brand ? `${brand.brand} ${brand.version}` : 'Chromium';
+}
+
 // Send message to server
 function sendToServer(message) {
   if (ws && ws.readyState === WebSocket.OPEN) {
@@ -118,54 +253,696 @@ function sendToServer(message) {
 
 // Handle commands from MCP server
 async function handleCommand(message) {
-  const { command, params } = message;
+  const { command } = message;
+  let params = message.params || {};
 
   try {
-    switch (command) {
-      case 'openPage':
-        return await openPage(params);
+    // Commands act on the MCP session's own tabs unless told otherwise
+    if (params.session) {
+      params = await applyAgentSession(command, params);
+    }
+
+    await enforceSitePolicy(command, params);
 
-      case 'closePage':
-        return await closePage(params);
+    // Marks from an annotated screenshot stand for snapshot refs
+    if (params.mark !== undefined) {
+      params = await resolveMark(params);
+    }
 
-      case 'screenshot':
-        return await takeScreenshot(params);
+    const approval = await requestApproval(message, params);
+    if (approval) {
+      if (approval.decision !== 'approved') {
+        return {
+          success: false,
+          error: approval.error
+        };
+      }
+      // The approval window takes focus, so pin the tab chosen before it opened
+      if (approval.tabId !== null) {
+        params = { ...params, tabId: approval.tabId };
+      }
+    }
 
-      case 'scroll':
-        return await scrollPage(params);
+    let response;
+    runningCommands++;
+    try {
+      response = await runCommand(command, params);
+    } finally {
+      runningCommands--;
+      await detachIdleDebuggers();
+    }
+    const opened = params.session && params.session.mode !== 'off' && response.success
+      ? getOpenedTabs(command, response.data)
+      : null;
+    if (opened) {
+      await adoptSessionTabs(params.session, opened.tabIds, opened.windowId);
+    }
+    if (approval && response.success) {
+      response.data = { ...response.data, approval: approval.decision };
+    }
+    return response;
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-      case 'find':
-        return await findInPage(params);
+// Dispatch a command to its handler
+async function runCommand(command, params) {
+  switch (command) {
+    case 'openPage':
+      return await openPage(params);
 
-      case 'getCurrentTab':
-        return await getCurrentTab();
+    case 'closePage':
+      return await closePage(params);
 
-      case 'listTabs':
-        return await listTabs();
+    case 'screenshot':
+      return await takeScreenshot(params);
 
-      case 'click':
-        return await clickElement(params);
+    case 'scroll':
+      return await scrollPage(params);
+
+    case 'find':
+      return await findInPage(params);
+
+    case 'getCurrentTab':
+      return await getCurrentTab(params);
+
+    case 'listTabs':
+      return await listTabs(params);
+
+    case 'activateTab':
+      return await activateTab(params);
+
+    case 'listWindows':
+      return await listWindows(params);
+
+    case 'createWindow':
+      return await createWindow(params);
+
+    case 'closeWindow':
+      return await closeWindow(params);
+
+    case 'moveTab':
+      return await moveTab(params);
+
+    case 'pinTab':
+      return await pinTab(params);
+
+    case 'groupTabs':
+      return await groupTabs(params);
+
+    case 'duplicateTab':
+      return await duplicateTab(params);
+
+    case 'click':
+      return await clickElement(params);
+
+    case 'fillForm':
+      return await fillFormFields(params);
+
+    case 'getPageContent':
+      return await getPageContent(params);
+
+    case 'snapshot':
+      return await takeSnapshot(params);
+
+    case 'navigate':
+      return await navigate(params);
+
+    case 'goBack':
+      return await goBack(params);
+
+    case 'goForward':
+      return await goForward(params);
+
+    case 'reload':
+      return await reloadPage(params);
+
+    case 'type':
+      return await typeText(params);
+
+    case 'pressKey':
+      return await pressKey(params);
+
+    case 'getConsoleLogs':
+      return await getConsoleLogs(params);
+
+    case 'getNetworkLog':
+      return await getNetworkLog(params);
+
+    case 'evaluate':
+      return await evaluateInPage(params);
+
+    case 'waitFor':
+      return await waitFor(params);
+
+    case 'startRecording':
+      return await startRecording(params);
+
+    case 'stopRecording':
+      return await stopRecording(params);
+
+    case 'printToPdf':
+      return await printToPdf(params);
+
+    case 'getCookies':
+      return await getCookies(params);
+
+    case 'setCookie':
+      return await setCookie(params);
+
+    case 'clearCookies':
+      return await clearCookies(params);
+
+    case 'storageGet':
+      return await storageGet(params);
+
+    case 'storageSet':
+      return await storageSet(params);
+
+    case 'storageClear':
+      return await storageClear(params);
+
+    case 'endSession':
+      return await endSession(params);
+
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+// What each command needs from the site policy:
+// 'none' ignores it, 'read' works on read-only sites, 'write' needs an allowed site,
+// 'navigate' needs an allowed tab and a destination that isn't denied,
+// 'open' only needs a destination that isn't denied. Unlisted commands count as 'write'.
+const COMMAND_ACCESS = {
+  getCurrentTab: 'none',
+  listTabs: 'none',
+  activateTab: 'none',
+  listWindows: 'none',
+  closeWindow: 'write',
+  moveTab: 'write',
+  pinTab: 'none',
+  groupTabs: 'write',
+  duplicateTab: 'read',
+  createWindow: 'open',
+  screenshot: 'read',
+  printToPdf: 'read',
+  scroll: 'read',
+  find: 'read',
+  getPageContent: 'read',
+  snapshot: 'read',
+  getConsoleLogs: 'read',
+  getNetworkLog: 'read',
+  waitFor: 'read',
+  getCookies: 'read',
+  storageGet: 'read',
+  startRecording: 'read',
+  stopRecording: 'none',
+  endSession: 'none',
+  click: 'write',
+  fillForm: 'write',
+  type: 'write',
+  pressKey: 'write',
+  evaluate: 'write',
+  setCookie: 'write',
+  clearCookies: 'write',
+  storageSet: 'write',
+  storageClear: 'write',
+  closePage: 'write',
+  navigate: 'navigate',
+  goBack: 'navigate',
+  goForward: 'navigate',
+  reload: 'navigate',
+  openPage: 'open'
+};
+
+const POLICY_MODES = ['allow', 'readonly', 'deny'];
+
+const COOKIE_COMMANDS = new Set(['getCookies', 'setCookie', 'clearCookies']);
+
+// Load the site policy: { defaultMode, rules: [{ mode, pattern }] }
+async function loadSitePolicy() {
+  const stored = await chrome.storage.local.get([SITE_POLICY_STORAGE_KEY]);
+  return stored[SITE_POLICY_STORAGE_KEY] || { defaultMode: 'allow', rules: [] };
+}
+
+// Match a URL against an origin pattern such as "*.example.com",
+// "https://admin.example.com" or "*://intranet:8080"
+function matchesOriginPattern(pattern, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const match = pattern.trim().toLowerCase()
+    .match(/^(?:(\*|[a-z][a-z0-9+.-]*):\/\/)?([^/:]+)(?::(\d+|\*))?\/?$/);
+  if (!match) {
+    return false;
+  }
+
+  const [, scheme, hostPattern, port] = match;
+  if (scheme && scheme !== '*' && `${scheme}:` !== parsed.protocol) {
+    return false;
+  }
+
+  if (port && port !== '*') {
+    const defaultPort = parsed.protocol === 'https:' ? '443' : parsed.protocol === 'http:' ? '80' : '';
+    if (port !== (parsed.port || defaultPort)) {
+      return false;
+    }
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (hostPattern === '*') {
+    return true;
+  }
+  if (hostPattern.startsWith('*.')) {
+    const base = hostPattern.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === hostPattern;
+}
+
+// Resolve the policy mode for a URL; the first matching rule wins
+function getSiteMode(policy, url) {
+  const rule = policy.rules.find(r => matchesOriginPattern(r.pattern, url));
+  return rule ? rule.mode : policy.defaultMode;
+}
+
+// Throw if the site policy doesn't allow this command on its target
+async function enforceSitePolicy(command, params) {
+  const access = COMMAND_ACCESS[command] || 'write';
+  if (access === 'none') {
+    return;
+  }
+
+  const policy = await loadSitePolicy();
+  if (policy.rules.length === 0 && policy.defaultMode === 'allow') {
+    return;
+  }
+
+  const blocked = (url, mode) => {
+    const reason = mode === 'deny' ? 'denied' : 'read-only';
+    return new Error(`Blocked by site policy: ${command} is not allowed on ${describeOrigin(url)} (${reason})`);
+  };
+
+  if (access === 'open' || access === 'navigate') {
+    const destination = params.url ? normalizeUrl(params.url) : null;
+    if (destination && getSiteMode(policy, destination) === 'deny') {
+      throw blocked(destination, 'deny');
+    }
+    if (access === 'open') {
+      return;
+    }
+  }
+
+  // Closing a window closes each of its tabs, so every tab must allow closePage
+  if (command === 'closeWindow') {
+    const tabs = params.windowId !== undefined ? await chrome.tabs.query({ windowId: params.windowId }) : [];
+    for (const tab of tabs) {
+      await enforceSitePolicy('closePage', { tabId: tab.id });
+    }
+    return;
+  }
+
+  // Commands on a list of tabs need every one of them allowed
+  if (Array.isArray(params.tabIds) && params.tabIds.length > 0) {
+    for (const tabId of params.tabIds) {
+      await enforceSitePolicy(command, { ...params, tabIds: undefined, tabId });
+    }
+    return;
+  }
+
+  // Cookie commands act on the URL or domain they are given, not the tab
+  let url = COOKIE_COMMANDS.has(command) ? getCookieScopeUrl(params) : null;
+  if (!url) {
+    const tab = await chrome.tabs.get(await resolveTabId(params.tabId));
+    url = tab.pendingUrl || tab.url;
+  }
+  const mode = getSiteMode(policy, url);
+
+  if (mode === 'deny' || (mode === 'readonly' && access !== 'read')) {
+    throw blocked(url, mode);
+  }
+
+  // A command aimed at an iframe acts on the frame's site as well
+  if (params.frameId || params.frameUrl || params.frameSelector) {
+    const frame = await resolveFrame(await resolveTabId(params.tabId), params);
+    const frameMode = frame.url && /^(https?|file):/.test(frame.url) ? getSiteMode(policy, frame.url) : 'allow';
+    if (frameMode === 'deny' || (frameMode === 'readonly' && access !== 'read')) {
+      throw blocked(frame.url, frameMode);
+    }
+  }
+}
+
+// Helper: Short origin for policy messages
+function describeOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin !== 'null' ? parsed.origin : url;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Helper: Add https:// to URLs without a supported scheme (as openPage does)
+function normalizeUrl(url) {
+  if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('file://')) {
+    return 'https://' + url;
+  }
+  return url;
+}
+
+// Parse the popup's policy text: one "<mode> <pattern>" rule per line
+function parseSitePolicy(defaultMode, rulesText) {
+  if (!POLICY_MODES.includes(defaultMode)) {
+    throw new Error(`Invalid default mode: ${defaultMode}`);
+  }
+
+  const rules = [];
+  const lines = (rulesText || '').split('\n');
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const [mode, pattern, ...rest] = trimmed.split(/\s+/);
+    const normalizedMode = mode.toLowerCase().replace('read-only', 'readonly');
+    if (!POLICY_MODES.includes(normalizedMode) || !pattern || rest.length > 0) {
+      throw new Error(`Line ${index + 1}: expected "<allow|readonly|deny> <origin pattern>"`);
+    }
+    rules.push({ mode: normalizedMode, pattern });
+  });
+
+  return { defaultMode, rules };
+}
+
+// Approval triggers besides plain command names ("click", "closePage", ...)
+const APPROVAL_TRIGGERS = ['submit', 'password', 'new-domain'];
+
+// No rules by default: prompts block until someone answers them, which headless agents can't
+const DEFAULT_APPROVAL_SETTINGS = {
+  timeoutSeconds: 60,
+  rules: []
+};
+
+// Load approval settings: { timeoutSeconds, rules: [{ action, pattern }] }
+async function loadApprovalSettings() {
+  const stored = await chrome.storage.local.get([APPROVAL_STORAGE_KEY]);
+  return stored[APPROVAL_STORAGE_KEY] || DEFAULT_APPROVAL_SETTINGS;
+}
+
+// Ask the user before running a sensitive command.
+// Returns null when no approval is needed, otherwise { decision, error, tabId }.
+async function requestApproval(message, params) {
+  const { command } = message;
+  const settings = await loadApprovalSettings();
+  if (settings.rules.length === 0) {
+    return null;
+  }
 
-      case 'fillForm':
-        return await fillFormFields(params);
+  // Rules match the page the command acts on, or the destination for openPage/navigate/createWindow.
+  // Commands that don't touch a page never need approval.
+  const access = COMMAND_ACCESS[command] || 'write';
+  if (access === 'none') {
+    return null;
+  }
+  // Commands on several tabs (closing a window closes all of its tabs) match rules for any of them
+  let targetTabs = null;
+  if (command === 'closeWindow' && params.windowId !== undefined) {
+    targetTabs = await chrome.tabs.query({ windowId: params.windowId });
+  } else if (Array.isArray(params.tabIds) && params.tabIds.length > 0) {
+    targetTabs = await Promise.all(params.tabIds.map(tabId => chrome.tabs.get(tabId)));
+  }
+  const tab = access === 'open' || targetTabs ? null : await chrome.tabs.get(await resolveTabId(params.tabId));
+  const tabUrl = tab ? (tab.pendingUrl || tab.url) : null;
+  const destination = params.url && ['openPage', 'navigate', 'createWindow'].includes(command)
+    ? normalizeUrl(params.url)
+    : null;
+  const targetUrls = targetTabs ? targetTabs.map(target => target.pendingUrl || target.url) : [destination || tabUrl];
+
+  const matchingRules = settings.rules.filter(rule => targetUrls.some(url => matchesOriginPattern(rule.pattern, url)));
+  const actions = new Set(matchingRules.map(rule => rule.action));
+  if (actions.size === 0) {
+    return null;
+  }
+  const targetUrl = targetUrls.find(url => matchingRules.some(rule => matchesOriginPattern(rule.pattern, url)));
+
+  const reasons = [];
+  let elements = [];
+
+  if (actions.has(command)) {
+    reasons.push(`${command} requires approval on this site`);
+  }
+
+  if (command === 'closeWindow' && actions.has('closePage')) {
+    reasons.push(`Closes a window with ${targetTabs.length} tab${targetTabs.length === 1 ? '' : 's'}`);
+  }
+
+  if (actions.has('submit') && command === 'click' && params.selector) {
+    const { frameId } = await resolveFrame(tab.id, params);
+    const wait = params.waitForElement !== false ? params.timeout || 5000 : 0;
+    elements = await inspectElements(tab.id, frameId, [params], wait);
+    if (elements.some(element => element.isSubmit)) {
+      reasons.push('Clicks a submit button');
+    }
+  }
 
-      case 'getPageContent':
-        return await getPageContent(params);
+  const pressesEnter = (command === 'pressKey' && /(^|\+)Enter$/.test(params.key || '')) ||
+    (command === 'type' && typeof params.text === 'string' && params.text.includes('\n'));
+  if (actions.has('submit') && pressesEnter) {
+    const { frameId } = await resolveFrame(tab.id, params);
+    elements = await inspectElements(tab.id, frameId, [params], params.timeout || 5000);
+    if (elements.some(element => element.submitsOnEnter)) {
+      reasons.push('Presses Enter in a form, which submits it');
+    }
+  }
+
+  if (actions.has('password') && (command === 'fillForm' || command === 'type')) {
+    const targets = command === 'fillForm' ? params.fields || [] : [params];
+    const wait = command === 'type' || params.waitForElements !== false ? params.timeout || 5000 : 0;
+    const { frameId } = await resolveFrame(tab.id, params);
+    elements = await inspectElements(tab.id, frameId, targets, wait);
+    if (elements.some(element => element.isPassword)) {
+      reasons.push('Fills a password field');
+    }
+  }
 
-      default:
-        throw new Error(`Unknown command: ${command}`);
+  if (actions.has('new-domain') && destination) {
+    let current = tab;
+    if (!current) {
+      current = await getActiveTab();
+    }
+    const fromHost = current ? getSiteHost(current.pendingUrl || current.url) : null;
+    const toHost = getSiteHost(destination);
+    if (toHost && toHost !== fromHost) {
+      reasons.push(`Navigates to a new domain: ${toHost}`);
     }
+  }
+
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  const timeoutMs = settings.timeoutSeconds * 1000;
+
+  // Keep the server waiting while the user decides
+  sendToServer({
+    type: 'extend_timeout',
+    requestId: message.id,
+    timeout: timeoutMs + (message.timeout || 30000)
+  });
+
+  const summary = `${command} on ${describeOrigin(targetUrl)}`;
+  const decision = await promptForApproval({
+    command,
+    url: targetUrl,
+    reasons,
+    elements: elements.map(element => element.description),
+    params: describeApprovalParams(command, params, elements.some(element => element.isPassword))
+  }, timeoutMs);
+
+  let error = null;
+  if (decision === 'denied') {
+    error = `Approval denied: the user rejected ${summary}`;
+  } else if (decision === 'timed out') {
+    error = `Approval timed out: no response within ${settings.timeoutSeconds}s for ${summary}`;
+  }
+
+  return { decision, error, tabId: tab ? tab.id : null };
+}
+
+// Helper: Hostname without a leading "www." for new-domain checks
+function getSiteHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || null;
   } catch (error) {
-    return {
-      success: false,
-      error: error.message
+    return null;
+  }
+}
+
+// Helper: Short summary of the command's arguments for the approval window.
+// Typed text is left out when it goes into a password field.
+function describeApprovalParams(command, params, hideText) {
+  if (command === 'fillForm') {
+    return (params.fields || []).map(field => `field: ${field.selector}`);
+  }
+
+  const lines = [];
+  for (const key of ['url', 'selector', 'text', 'key', 'expression']) {
+    if (params[key] !== undefined && !(key === 'text' && hideText)) {
+      lines.push(`${key}: ${String(params[key]).slice(0, 200)}`);
+    }
+  }
+  return lines;
+}
+
+// Describe target elements in a frame (or the focused element for targets without
+// a selector), polling up to `wait` ms for them to appear
+async function inspectElements(tabId, frameId, targets, wait) {
+  return await executeInFrame(tabId, frameId, (targetList, maxWait) => {
+    const findElement = (selector, selectorType = 'css') => {
+      if (!selector) {
+        return document.activeElement;
+      }
+      try {
+        return window.__mcpBridgeFindElement(selector, selectorType);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const describe = (element, selector) => {
+      if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+        return { description: `${selector} (not found)`, isSubmit: false, isPassword: false, submitsOnEnter: false };
+      }
+
+      const control = element.closest('button, input') || element;
+      const tag = control.tagName.toLowerCase();
+      const type = (control.getAttribute('type') || '').toLowerCase();
+      const isSubmit = (tag === 'button' && control.type === 'submit' && !!control.form) ||
+        (tag === 'input' && (type === 'submit' || type === 'image'));
+      const isPassword = tag === 'input' && control.type === 'password';
+      // Enter in a form's text field submits the form (implicit submission)
+      const submitsOnEnter = isSubmit ||
+        (tag === 'input' && !!control.form && !['button', 'reset', 'file'].includes(control.type));
+
+      let description = `<${tag}${type ? ` type="${type}"` : ''}`;
+      if (control.id) {
+        description += ` id="${control.id}"`;
+      } else if (control.name) {
+        description += ` name="${control.name}"`;
+      }
+      description += '>';
+
+      const label = (control.innerText || control.value || control.getAttribute('aria-label') ||
+        control.getAttribute('placeholder') || '').trim().replace(/\s+/g, ' ');
+      if (label && !isPassword) {
+        description += ` "${label.slice(0, 80)}"`;
+      }
+      if (control.form && control.form.action) {
+        description += ` in form → ${control.form.action}`;
+      }
+
+      return { description, isSubmit, isPassword, submitsOnEnter };
+    };
+
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      const attempt = () => {
+        const elements = targetList.map(t => findElement(t.selector, t.selectorType));
+        if (elements.every(Boolean) || Date.now() - startTime >= maxWait) {
+          resolve(elements.map((element, index) =>
+            describe(element, targetList[index].selector || 'focused element')));
+          return;
+        }
+        setTimeout(attempt, 100);
+      };
+      attempt();
+    });
+  }, [targets.map(t => ({ selector: t.selector, selectorType: t.selectorType })), wait]);
+}
+
+// Open the approval window and wait for "approved", "denied" or "timed out"
+function promptForApproval(details, timeoutMs) {
+  return new Promise((resolve) => {
+    const id = crypto.randomUUID();
+    const approval = { ...details, id, expiresAt: Date.now() + timeoutMs, windowId: null };
+
+    const timer = setTimeout(() => approval.finish('timed out'), timeoutMs);
+
+    approval.finish = (decision) => {
+      if (!pendingApprovals.has(id)) {
+        return;
+      }
+      pendingApprovals.delete(id);
+      clearTimeout(timer);
+      if (approval.windowId !== null) {
+        chrome.windows.remove(approval.windowId).catch(() => {});
+      }
+      resolve(decision);
     };
+
+    pendingApprovals.set(id, approval);
+
+    chrome.windows.create({
+      url: chrome.runtime.getURL(`approval.html?id=${id}`),
+      type: 'popup',
+      width: 460,
+      height: 420,
+      focused: true
+    }).then((window) => {
+      approval.windowId = window.id;
+      // Settled while the window was opening
+      if (!pendingApprovals.has(id)) {
+        chrome.windows.remove(window.id).catch(() => {});
+      }
+    }).catch((error) => {
+      console.error('Failed to open approval window:', error);
+      approval.finish('denied');
+    });
+  });
+}
+
+// Parse the popup's approval rules: one "<action> [origin pattern]" rule per line.
+// Actions are trigger names, command names or MCP tool names.
+function parseApprovalSettings(timeoutSeconds, rulesText) {
+  const timeout = Number(timeoutSeconds);
+  if (!Number.isFinite(timeout) || timeout < 5 || timeout > 600) {
+    throw new Error('Approval timeout must be between 5 and 600 seconds');
   }
+
+  const rules = [];
+  const lines = (rulesText || '').split('\n');
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const [name, pattern = '*', ...rest] = trimmed.split(/\s+/);
+    // browser_fill_form -> fillForm
+    const action = name.replace(/^browser_/, '').replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    const isCommand = action in COMMAND_ACCESS && COMMAND_ACCESS[action] !== 'none';
+    if ((!APPROVAL_TRIGGERS.includes(action) && !isCommand) || rest.length > 0) {
+      throw new Error(`Line ${index + 1}: expected "<action> [origin pattern]" with a known action, got "${name}"`);
+    }
+    rules.push({ action, pattern });
+  });
+
+  return { timeoutSeconds: timeout, rules };
 }
 
 // Command: Open a new page
 async function openPage(params) {
-  const { url, active = true, newWindow = false } = params;
+  const { url, active = true, newWindow = false, windowId } = params;
 
   if (!url) {
     throw new Error('URL is required');
@@ -183,18 +960,23 @@ async function openPage(params) {
       focused: active
     });
 
+    // Wait for the window's tab to finish loading
+    const loadedTab = await waitForTabLoad(window.tabs[0].id);
+
     return {
       success: true,
       data: {
         windowId: window.id,
-        tabId: window.tabs[0].id,
-        url: finalUrl
+        tabId: loadedTab.id,
+        url: loadedTab.url,
+        title: loadedTab.title
       }
     };
   } else {
     const tab = await chrome.tabs.create({
       url: finalUrl,
-      active: active
+      active: active,
+      ...(windowId !== undefined ? { windowId } : {})
     });
 
     // Wait for the tab to finish loading
@@ -217,7 +999,7 @@ async function closePage(params) {
 
   if (!tabId) {
     // Close current active tab
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const activeTab = await getActiveTab();
     if (activeTab) {
       await chrome.tabs.remove(activeTab.id);
       return {
@@ -238,12 +1020,36 @@ async function closePage(params) {
 
 // Command: Take screenshot
 async function takeScreenshot(params) {
-  const { tabId, format = 'png', quality = 90, fullPage = false } = params;
+  const {
+    tabId,
+    format = 'png',
+    quality = 90,
+    fullPage = false,
+    selector,
+    selectorType = 'css',
+    padding = 0,
+    clip,
+    annotate = false,
+    hideFixed = false
+  } = params;
+
+  if ((selector || clip) && fullPage) {
+    throw new Error('fullPage cannot be combined with selector or clip');
+  }
+  if (selector && clip) {
+    throw new Error('Use either selector or clip, not both');
+  }
+  if (!selector && (params.frameId || params.frameUrl || params.frameSelector)) {
+    throw new Error('frameId, frameUrl and frameSelector only apply to element screenshots (selector)');
+  }
+  if (!Number.isFinite(padding) || padding < 0) {
+    throw new Error('padding must be a non-negative number');
+  }
 
   let targetTabId = tabId;
 
   if (!targetTabId) {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const activeTab = await getActiveTab();
     if (!activeTab) {
       throw new Error('No active tab found');
     }
@@ -254,16 +1060,57 @@ async function takeScreenshot(params) {
   await chrome.tabs.update(targetTabId, { active: true });
 
   let dataUrl;
+  let region = null;
+  let marks = null;
+  let segments = null;
+  let page = null;
 
-  if (fullPage) {
-    // Full page screenshot using scrolling and stitching
-    dataUrl = await captureFullPage(targetTabId, format, quality);
-  } else {
-    // Just capture visible viewport
-    dataUrl = await chrome.tabs.captureVisibleTab(null, {
-      format: format,
-      quality: format === 'jpeg' ? quality : undefined
-    });
+  if (selector || clip) {
+    region = selector
+      ? await getElementClip(targetTabId, (await resolveFrame(targetTabId, params)).frameId, selector, selectorType, padding)
+      : await normalizeClip(targetTabId, clip);
+  }
+
+  // Hide fixed elements first so marks aren't placed on them
+  if (hideFixed) {
+    await setFixedElementsHidden(targetTabId, true);
+  }
+
+  try {
+    // Scroll through the page before marking it, so marks land where the capture sees them
+    if (fullPage) {
+      page = await preparePageForCapture(targetTabId);
+    }
+
+    if (annotate) {
+      const markedArea = page ? { x: 0, y: 0, width: getCaptureWidth(page), height: page.height } : region;
+      marks = await addScreenshotMarks(targetTabId, markedArea, fullPage);
+    }
+
+    if (region) {
+      // Element or region: crop in the renderer, which handles device pixel ratio
+      dataUrl = await captureClip(targetTabId, region, format, quality);
+    } else if (fullPage) {
+      segments = await captureFullPage(targetTabId, page, format, quality, hideFixed);
+      dataUrl = segments[0].screenshot;
+    } else {
+      // Just capture visible viewport
+      dataUrl = await captureVisibleTab(targetTabId, format, quality);
+    }
+  } finally {
+    if (annotate) {
+      await removeScreenshotMarks(targetTabId);
+    }
+    if (hideFixed) {
+      await setFixedElementsHidden(targetTabId, false).catch(() => {});
+    }
+    if (page) {
+      await chrome.scripting.executeScript({
+        target: { tabId: targetTabId },
+        func: (scrollX, scrollY) => window.scrollTo(scrollX, scrollY),
+        args: [page.scrollX, page.scrollY]
+      }).catch(() => {});
+    }
   }
 
   return {
@@ -272,618 +1119,3983 @@ async function takeScreenshot(params) {
       screenshot: dataUrl,
       format: format,
       tabId: targetTabId,
-      fullPage: fullPage
+      fullPage: fullPage,
+      ...(region ? {
+        clip: { x: region.x, y: region.y, width: region.width, height: region.height },
+        devicePixelRatio: region.devicePixelRatio
+      } : {}),
+      ...(marks ? { marks } : {}),
+      // Pages wider than Chrome can capture are cut off on the right
+      ...(page && getCaptureWidth(page) < page.width ? {
+        cropped: { capturedWidth: getCaptureWidth(page), pageWidth: page.width }
+      } : {}),
+      // Pages too tall for one image come back in several, top to bottom
+      ...(segments && segments.length > 1 ? { segments } : {})
     }
   };
 }
 
-// Helper: Capture full page screenshot
-async function captureFullPage(tabId, format, quality) {
-  // Get page dimensions and viewport size
-  const dimensions = await chrome.scripting.executeScript({
+// Helper: Label the visible interactive elements in the captured area with numbers.
+// Each mark is registered as a snapshot ref, so browser_click can take the number.
+async function addScreenshotMarks(tabId, region, wholePage) {
+  const results = await chrome.scripting.executeScript({
     target: { tabId },
-    func: () => {
-      return {
-        pageWidth: document.documentElement.scrollWidth,
-        pageHeight: document.documentElement.scrollHeight,
-        viewportWidth: window.innerWidth,
-        viewportHeight: window.innerHeight,
-        originalScrollX: window.scrollX,
-        originalScrollY: window.scrollY
+    func: async (area, fullPage) => {
+      if (!window.__mcpBridgeRefs) {
+        window.__mcpBridgeRefs = { elements: new Map(), ids: new WeakMap(), next: 1 };
+      }
+      const refs = window.__mcpBridgeRefs;
+      refs.marks = new Map();
+
+      const INTERACTIVE_SELECTOR = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, ' +
+        '[contenteditable=""], [contenteditable="true"], [role="button"], [role="link"], [role="checkbox"], ' +
+        '[role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"], [role="combobox"], ' +
+        '[role="textbox"], [role="searchbox"], [role="slider"]';
+      const INPUT_ROLES = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', search: 'searchbox'
       };
-    }
-  });
+      const COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#9a6324', '#800000'];
 
-  const {
-    pageWidth,
-    pageHeight,
-    viewportWidth,
-    viewportHeight,
-    originalScrollX,
-    originalScrollY
-  } = dimensions[0].result;
-
-  // If page fits in viewport, just take one screenshot
-  if (pageHeight <= viewportHeight && pageWidth <= viewportWidth) {
-    return await chrome.tabs.captureVisibleTab(null, {
-      format: format,
-      quality: format === 'jpeg' ? quality : undefined
-    });
-  }
+      // Area to label, in page coordinates
+      const bounds = area || (fullPage
+        ? { x: 0, y: 0, width: document.documentElement.scrollWidth, height: document.documentElement.scrollHeight }
+        : { x: window.scrollX, y: window.scrollY, width: window.innerWidth, height: window.innerHeight });
+
+      const clean = (text, max = 60) => {
+        const value = (text || '').replace(/\s+/g, ' ').trim();
+        return value.length > max ? value.slice(0, max - 1) + '…' : value;
+      };
+
+      const getRole = (element) => {
+        const explicit = element.getAttribute('role');
+        if (explicit) {
+          return explicit.split(/\s+/)[0];
+        }
+        switch (element.tagName) {
+          case 'A':
+            return 'link';
+          case 'BUTTON':
+          case 'SUMMARY':
+            return 'button';
+          case 'SELECT':
+            return 'combobox';
+          case 'INPUT':
+            return INPUT_ROLES[element.type] || 'textbox';
+          default:
+            return 'textbox';
+        }
+      };
 
-  // Calculate number of screenshots needed
-  const cols = Math.ceil(pageWidth / viewportWidth);
-  const rows = Math.ceil(pageHeight / viewportHeight);
+      const getText = (element) => {
+        if (clean(element.getAttribute('aria-label'))) {
+          return clean(element.getAttribute('aria-label'));
+        }
+        if (element.labels && element.labels.length > 0) {
+          return clean([...element.labels].map(label => label.innerText).join(' '));
+        }
+        if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+          return clean(element.value);
+        }
+        if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) && clean(element.innerText)) {
+          return clean(element.innerText);
+        }
+        return clean(element.getAttribute('placeholder') || element.getAttribute('title') ||
+          element.getAttribute('alt') || element.querySelector('img[alt]')?.alt);
+      };
 
-  const screenshots = [];
+      const isUnique = (selector) => document.querySelectorAll(selector).length === 1;
 
-  // Capture screenshots in a grid
-  for (let row = 0; row < rows; row++) {
-    for (let col = 0; col < cols; col++) {
-      const x = col * viewportWidth;
-      const y = row * viewportHeight;
+      // Short CSS selector: id, name, or a path of tags up to the nearest id
+      const getSelector = (element) => {
+        if (element.id && isUnique(`#${CSS.escape(element.id)}`)) {
+          return `#${CSS.escape(element.id)}`;
+        }
+        const name = element.getAttribute('name');
+        const byName = name && `${element.tagName.toLowerCase()}[name="${CSS.escape(name)}"]`;
+        if (byName && isUnique(byName)) {
+          return byName;
+        }
 
-      // Scroll to position
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        func: (scrollX, scrollY) => {
-          window.scrollTo(scrollX, scrollY);
-        },
-        args: [x, y]
-      });
+        const parts = [];
+        let current = element;
+        while (current && current !== document.documentElement) {
+          if (current !== element && current.id && isUnique(`#${CSS.escape(current.id)}`)) {
+            parts.unshift(`#${CSS.escape(current.id)}`);
+            break;
+          }
+          let part = current.tagName.toLowerCase();
+          const parent = current.parentElement;
+          if (parent) {
+            const sameTag = [...parent.children].filter(child => child.tagName === current.tagName);
+            if (sameTag.length > 1) {
+              part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+            }
+          }
+          parts.unshift(part);
+          current = parent;
+        }
+        return parts.join(' > ');
+      };
 
-      // Wait for scroll to complete
-      await new Promise(resolve => setTimeout(resolve, 100));
+      const getRef = (element) => {
+        let ref = refs.ids.get(element);
+        if (!ref || refs.elements.get(ref) !== element) {
+          ref = `e${refs.next++}`;
+          refs.ids.set(element, ref);
+          refs.elements.set(ref, element);
+        }
+        return ref;
+      };
 
-      // Capture screenshot
-      const dataUrl = await chrome.tabs.captureVisibleTab(null, {
-        format: 'png', // Always use PNG for stitching
-        quality: undefined
-      });
+      // Elements under a modal or other overlay can't be clicked, so leave them out.
+      // Only on-screen points can be tested.
+      const isCovered = (element, rect) => {
+        const x = rect.left + rect.width / 2;
+        const y = rect.top + rect.height / 2;
+        if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) {
+          return false;
+        }
+        const hit = document.elementFromPoint(x, y);
+        if (!hit || hit === element || element.contains(hit) || hit.contains(element)) {
+          return false;
+        }
+        return hit.closest('label')?.control !== element;
+      };
+
+      const marked = new Set();
+      const boxes = [];
+      const legend = [];
+
+      for (const element of document.querySelectorAll(INTERACTIVE_SELECTOR)) {
+        // A span[role=button] inside a link is the same target as the link
+        const container = element.parentElement?.closest(INTERACTIVE_SELECTOR);
+        if (container && marked.has(container)) {
+          continue;
+        }
+
+        const rect = element.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0 || window.getComputedStyle(element).visibility === 'hidden') {
+          continue;
+        }
+        const left = rect.left + window.scrollX;
+        const top = rect.top + window.scrollY;
+        if (left + rect.width <= bounds.x || left >= bounds.x + bounds.width ||
+          top + rect.height <= bounds.y || top >= bounds.y + bounds.height) {
+          continue;
+        }
+        if (isCovered(element, rect)) {
+          continue;
+        }
+
+        marked.add(element);
+        const mark = legend.length + 1;
+        const ref = getRef(element);
+        refs.marks.set(mark, ref);
+        boxes.push({ mark, left, top, width: rect.width, height: rect.height });
+        legend.push({ mark, ref, selector: getSelector(element), role: getRole(element), text: getText(element) });
+      }
 
-      screenshots.push({
-        dataUrl,
-        x,
-        y,
-        row,
-        col
+      // Draw the labels in a shadow root so page styles can't touch them
+      const host = document.createElement('div');
+      host.setAttribute('data-mcp-bridge-marks', '');
+      host.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+      const root = host.attachShadow({ mode: 'open' });
+
+      for (const box of boxes) {
+        const color = COLORS[(box.mark - 1) % COLORS.length];
+        const outline = document.createElement('div');
+        outline.style.cssText = `position:absolute;left:${box.left}px;top:${box.top}px;` +
+          `width:${box.width}px;height:${box.height}px;border:2px solid ${color};box-sizing:border-box;`;
+        const label = document.createElement('div');
+        label.textContent = String(box.mark);
+        // Above the box when there is room, otherwise inside its top edge
+        label.style.cssText = `position:absolute;left:-2px;top:${box.top >= 16 ? -16 : 0}px;` +
+          `background:${color};color:#fff;font:bold 11px/14px sans-serif;padding:0 3px;border-radius:2px;`;
+        outline.appendChild(label);
+        root.appendChild(outline);
+      }
+      document.documentElement.appendChild(host);
+
+      // Let the labels paint before the capture (rAF doesn't run in hidden windows)
+      await new Promise(resolve => {
+        requestAnimationFrame(() => requestAnimationFrame(resolve));
+        setTimeout(resolve, 100);
       });
-    }
-  }
 
-  // Restore original scroll position
-  await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (scrollX, scrollY) => {
-      window.scrollTo(scrollX, scrollY);
+      return legend;
     },
-    args: [originalScrollX, originalScrollY]
+    args: [region, wholePage]
   });
 
-  // Stitch screenshots together using canvas
-  const stitched = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: (screenshots, pageWidth, pageHeight, viewportWidth, viewportHeight, outputFormat, outputQuality) => {
-      return new Promise((resolve) => {
-        const canvas = document.createElement('canvas');
-        canvas.width = pageWidth;
-        canvas.height = pageHeight;
-        const ctx = canvas.getContext('2d');
-
-        let loaded = 0;
-        const total = screenshots.length;
-
-        screenshots.forEach(({ dataUrl, x, y }) => {
-          const img = new Image();
-          img.onload = () => {
-            ctx.drawImage(img, x, y);
-            loaded++;
-
-            if (loaded === total) {
-              // Convert to desired format
-              const finalDataUrl = canvas.toDataURL(
-                outputFormat === 'jpeg' ? 'image/jpeg' : 'image/png',
-                outputFormat === 'jpeg' ? outputQuality / 100 : undefined
-              );
-              resolve(finalDataUrl);
-            }
-          };
-          img.src = dataUrl;
-        });
-      });
+  return results[0].result;
+}
+
+// Helper: Take the mark labels down again
+async function removeScreenshotMarks(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        document.querySelectorAll('[data-mcp-bridge-marks]').forEach(host => host.remove());
+      }
+    });
+  } catch (error) {
+    // The page navigated away, taking the labels with it
+  }
+}
+
+// Helper: Swap a mark number from an annotated screenshot for the element's snapshot ref
+async function resolveMark(params) {
+  if (!Number.isInteger(params.mark)) {
+    throw new Error('mark must be a whole number from an annotated screenshot');
+  }
+  if (params.selector) {
+    throw new Error('Use either selector or mark, not both');
+  }
+  const targetTabId = await resolveTabId(params.tabId);
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: targetTabId },
+    func: (mark) => {
+      const refs = window.__mcpBridgeRefs;
+      const ref = refs?.marks?.get(mark);
+      const element = ref && refs.elements.get(ref);
+      return element && element.isConnected ? ref : null;
     },
-    args: [screenshots, pageWidth, pageHeight, viewportWidth, viewportHeight, format, quality]
+    args: [params.mark]
   });
 
-  return stitched[0].result;
+  const ref = results[0].result;
+  if (!ref) {
+    throw new Error(`Mark ${params.mark} not found or stale, take a new annotated screenshot`);
+  }
+  return { ...params, tabId: targetTabId, selector: ref, selectorType: 'ref' };
 }
 
-// Command: Scroll page
-async function scrollPage(params) {
-  const { tabId, x = 0, y = 0, behavior = 'smooth' } = params;
-
-  let targetTabId = tabId;
+// Helper: Scroll an element into view and return its box in page coordinates,
+// grown by padding and kept inside the page
+async function getElementClip(tabId, frameId, selector, selectorType, padding) {
+  const box = await executeInFrame(tabId, frameId, (sel, selType) => {
+    const element = window.__mcpBridgeFindElement(sel, selType);
+    if (!element) {
+      return {
+        error: selType === 'ref'
+          ? `Element ref not found or stale, take a new snapshot: ${sel}`
+          : `Element not found: ${sel}`
+      };
+    }
 
-  if (!targetTabId) {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!activeTab) {
-      throw new Error('No active tab found');
+    element.scrollIntoView({ block: 'center', inline: 'center' });
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return { error: `Element has no visible size: ${sel}` };
     }
-    targetTabId = activeTab.id;
+    return { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+  }, [selector, selectorType]);
+  if (box.error) {
+    throw new Error(box.error);
   }
 
-  await chrome.scripting.executeScript({
-    target: { tabId: targetTabId },
-    func: (scrollX, scrollY, scrollBehavior) => {
-      window.scrollTo({
-        left: scrollX,
-        top: scrollY,
-        behavior: scrollBehavior
-      });
-    },
-    args: [x, y, behavior]
+  // The element's box is relative to its frame's viewport; move it into the page's
+  const offset = await getFrameOffset(tabId, frameId);
+  const [{ result: page }] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => ({
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      width: document.documentElement.scrollWidth,
+      height: document.documentElement.scrollHeight,
+      devicePixelRatio: window.devicePixelRatio
+    })
   });
 
+  // Whole pixels, rounded outwards so no edge of the element is cut off
+  const left = Math.max(0, Math.floor(box.left + offset.x + page.scrollX - padding));
+  const top = Math.max(0, Math.floor(box.top + offset.y + page.scrollY - padding));
+  const right = Math.min(page.width, Math.ceil(box.right + offset.x + page.scrollX + padding));
+  const bottom = Math.min(page.height, Math.ceil(box.bottom + offset.y + page.scrollY + padding));
+
   return {
-    success: true,
-    data: { tabId: targetTabId, x, y }
+    x: left,
+    y: top,
+    width: right - left,
+    height: bottom - top,
+    devicePixelRatio: page.devicePixelRatio
   };
 }
 
-// Command: Find text in page
-async function findInPage(params) {
-  const { tabId, text, highlightAll = false } = params;
+// Helper: Where a frame's viewport sits in the top-level viewport, in CSS pixels,
+// found by measuring the <iframe> element in each parent frame in turn
+async function getFrameOffset(tabId, frameId) {
+  const offset = { x: 0, y: 0 };
+  let current = frameId;
+  while (current !== 0) {
+    const frame = await chrome.webNavigation.getFrame({ tabId, frameId: current });
+    if (!frame) {
+      throw new Error(`No frame found with ID: ${current}`);
+    }
+    const [{ result: position }] = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frame.parentFrameId] },
+      func: (childFrameId) => {
+        for (const element of document.querySelectorAll('iframe, frame')) {
+          if (chrome.runtime.getFrameId(element) === childFrameId) {
+            // The frame's content starts inside its border and padding
+            const rect = element.getBoundingClientRect();
+            const style = window.getComputedStyle(element);
+            return {
+              x: rect.left + element.clientLeft + parseFloat(style.paddingLeft),
+              y: rect.top + element.clientTop + parseFloat(style.paddingTop)
+            };
+          }
+        }
+        return null;
+      },
+      args: [current]
+    });
+    if (!position) {
+      throw new Error(`Could not locate frame ${frameId} in its parent page`);
+    }
+    offset.x += position.x;
+    offset.y += position.y;
+    current = frame.parentFrameId;
+  }
+  return offset;
+}
 
-  if (!text) {
-    throw new Error('Search text is required');
+// Helper: Validate a caller-supplied clip rectangle (CSS pixels, page coordinates)
+async function normalizeClip(tabId, clip) {
+  const { x, y, width, height } = clip;
+  if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+    throw new Error('clip needs numeric x, y, width and height, with a positive width and height');
   }
 
-  let targetTabId = tabId;
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => window.devicePixelRatio
+  });
 
-  if (!targetTabId) {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!activeTab) {
-      throw new Error('No active tab found');
+  // Parts left of or above the page are cropped off rather than shifting the region
+  const left = Math.max(0, x);
+  const top = Math.max(0, y);
+  const croppedWidth = width - (left - x);
+  const croppedHeight = height - (top - y);
+  if (croppedWidth <= 0 || croppedHeight <= 0) {
+    throw new Error('clip lies entirely outside the page');
+  }
+
+  return { x: left, y: top, width: croppedWidth, height: croppedHeight, devicePixelRatio: results[0].result };
+}
+
+// Helper: Capture a page region with the DevTools protocol. The clip is in CSS
+// pixels relative to the page; the image comes out at device pixel resolution.
+async function captureClip(tabId, region, format, quality) {
+  const { data } = await sendDebuggerCommand(tabId, 'Page.captureScreenshot', {
+    format,
+    quality: format === 'jpeg' ? quality : undefined,
+    clip: { x: region.x, y: region.y, width: region.width, height: region.height, scale: 1 },
+    captureBeyondViewport: true
+  });
+  return `data:image/${format};base64,${data}`;
+}
+
+// Helper: Width of the page a full-page capture covers, in CSS pixels
+function getCaptureWidth(page) {
+  return Math.min(page.width, Math.floor(MAX_CAPTURE_SIZE / page.devicePixelRatio));
+}
+
+// Helper: Capture the whole scrollable page, as prepared by preparePageForCapture, as one
+// image per segment of at most MAX_CAPTURE_SIZE device pixels. Renders beyond the viewport
+// in one pass with the DevTools protocol, or scrolls and stitches tiles when the debugger can't attach.
+async function captureFullPage(tabId, page, format, quality, fixedHidden) {
+  try {
+    const width = getCaptureWidth(page);
+    const segmentHeight = Math.floor(MAX_CAPTURE_SIZE / page.devicePixelRatio);
+
+    let debuggerAvailable = true;
+    try {
+      await ensureDebuggerAttached(tabId);
+    } catch (error) {
+      // Another extension is already debugging the tab
+      debuggerAvailable = false;
+    }
+
+    const segments = [];
+    for (let y = 0; y < page.height; y += segmentHeight) {
+      const region = { x: 0, y, width, height: Math.min(segmentHeight, page.height - y) };
+      const screenshot = debuggerAvailable
+        ? await captureClip(tabId, region, format, quality)
+        : await captureRegionByScrolling(tabId, page, region, format, quality, fixedHidden || segments.length > 0);
+      segments.push({ screenshot, y: region.y, height: region.height });
+    }
+    return segments;
+  } finally {
+    if (!fixedHidden) {
+      await setFixedElementsHidden(tabId, false).catch(() => {});
     }
-    targetTabId = activeTab.id;
   }
+}
 
+// Helper: Load lazy content by scrolling through the page, then return to the top
+// and report its size. Content that keeps growing (infinite scroll) is cut off after a while.
+async function preparePageForCapture(tabId) {
   const results = await chrome.scripting.executeScript({
-    target: { tabId: targetTabId },
-    func: (searchText, highlight) => {
-      const found = window.find(searchText);
+    target: { tabId },
+    func: async () => {
+      const MAX_STEPS = 30;
+      const STEP_DELAY = 100;
+      const IMAGE_WAIT = 2000;
+      const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+      const scrollX = window.scrollX;
+      const scrollY = window.scrollY;
 
-      if (highlight && found) {
-        const selection = window.getSelection();
-        if (selection.rangeCount > 0) {
-          const range = selection.getRangeAt(0);
-          return {
-            found: true,
-            text: range.toString(),
-            position: {
-              x: range.getBoundingClientRect().left,
-              y: range.getBoundingClientRect().top
-            }
-          };
+      document.querySelectorAll('img[loading="lazy"]').forEach(img => {
+        img.loading = 'eager';
+      });
+
+      // Scripted lazy loaders wait for elements to come into view
+      for (let step = 1; step <= MAX_STEPS; step++) {
+        const y = step * window.innerHeight;
+        if (y >= document.documentElement.scrollHeight) {
+          break;
+        }
+        window.scrollTo(scrollX, y);
+        await wait(STEP_DELAY);
+      }
+      window.scrollTo(0, 0);
+
+      const pending = [...document.images].filter(img => !img.complete);
+      await Promise.race([
+        Promise.all(pending.map(img => new Promise(resolve => {
+          img.addEventListener('load', resolve, { once: true });
+          img.addEventListener('error', resolve, { once: true });
+        }))),
+        wait(IMAGE_WAIT)
+      ]);
+
+      return {
+        width: Math.max(document.documentElement.scrollWidth, 1),
+        height: Math.max(document.documentElement.scrollHeight, 1),
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio,
+        scrollX,
+        scrollY
+      };
+    }
+  });
+
+  return results[0].result;
+}
+
+// Helper: Hide (or show again) fixed and sticky elements such as headers,
+// chat widgets and cookie banners
+async function setFixedElementsHidden(tabId, hidden) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (hide) => {
+      // Inline styles the elements had before, to put back afterwards
+      const saved = window.__mcpBridgeHiddenFixed || (window.__mcpBridgeHiddenFixed = new Map());
+
+      if (!hide) {
+        for (const [element, style] of saved) {
+          element.style.setProperty('visibility', style.value, style.priority);
         }
+        saved.clear();
+        return;
       }
 
-      return { found };
+      for (const element of document.body.querySelectorAll('*')) {
+        if (saved.has(element)) {
+          continue;
+        }
+        const position = window.getComputedStyle(element).position;
+        if (position === 'fixed' || position === 'sticky') {
+          saved.set(element, {
+            value: element.style.getPropertyValue('visibility'),
+            priority: element.style.getPropertyPriority('visibility')
+          });
+          element.style.setProperty('visibility', 'hidden', 'important');
+        }
+      }
     },
-    args: [text, highlightAll]
+    args: [hidden]
   });
+}
 
-  return {
-    success: true,
-    data: {
-      tabId: targetTabId,
-      ...results[0].result
+// Helper: Capture a page region by scrolling the viewport over it and stitching
+// the tiles in the service worker
+async function captureRegionByScrolling(tabId, page, region, format, quality, fixedHidden) {
+  const scale = page.devicePixelRatio;
+  const canvas = new OffscreenCanvas(Math.round(region.width * scale), Math.round(region.height * scale));
+  const context = canvas.getContext('2d');
+
+  for (let top = region.y; top < region.y + region.height; top += page.viewportHeight) {
+    for (let left = region.x; left < region.x + region.width; left += page.viewportWidth) {
+      // Near the end of the page the browser scrolls less than asked, so draw at the real offset
+      const scrolled = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: async (x, y) => {
+          window.scrollTo(x, y);
+          await new Promise(resolve => {
+            requestAnimationFrame(() => requestAnimationFrame(resolve));
+            setTimeout(resolve, 100);
+          });
+          return { x: window.scrollX, y: window.scrollY };
+        },
+        args: [left, top]
+      });
+      const { x, y } = scrolled[0].result;
+
+      const tile = await captureVisibleTab(tabId, 'png');
+      const bitmap = await createImageBitmap(await (await fetch(tile)).blob());
+      context.drawImage(bitmap, Math.round((x - region.x) * scale), Math.round((y - region.y) * scale));
+      bitmap.close();
+
+      // Sticky headers would otherwise repeat in every tile
+      if (!fixedHidden) {
+        await setFixedElementsHidden(tabId, true);
+        fixedHidden = true;
+      }
     }
-  };
+  }
+
+  const blob = await canvas.convertToBlob({
+    type: `image/${format}`,
+    quality: format === 'jpeg' ? quality / 100 : undefined
+  });
+  return blobToDataUrl(blob);
 }
 
-// Get current active tab
-async function getCurrentTab() {
-  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+// Helper: captureVisibleTab for a tab's window, spaced out to stay within its quota
+async function captureVisibleTab(tabId, format, quality) {
+  const tab = await chrome.tabs.get(tabId);
+  const delay = lastVisibleTabCapture + VISIBLE_TAB_CAPTURE_INTERVAL - Date.now();
+  if (delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  lastVisibleTabCapture = Date.now();
 
-  if (!activeTab) {
-    throw new Error('No active tab found');
+  return chrome.tabs.captureVisibleTab(tab.windowId, {
+    format: format,
+    quality: format === 'jpeg' ? quality : undefined
+  });
+}
+
+// Helper: Encode a blob as a data: URL
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+// Command: Print the page to PDF with the DevTools protocol
+async function printToPdf(params) {
+  const {
+    tabId,
+    paperFormat = 'letter',
+    paperWidth,
+    paperHeight,
+    landscape = false,
+    margins = {},
+    printBackground = false,
+    pageRanges = '',
+    headerTemplate,
+    footerTemplate,
+    scale = 1,
+    preferCSSPageSize = false
+  } = params;
+
+  const paper = PAPER_SIZES[String(paperFormat).toLowerCase()];
+  if (!paper && (paperWidth === undefined || paperHeight === undefined)) {
+    throw new Error(`Unknown paperFormat "${paperFormat}". Use ${Object.keys(PAPER_SIZES).join(', ')}, or paperWidth and paperHeight.`);
+  }
+  if (scale < 0.1 || scale > 2) {
+    throw new Error('scale must be between 0.1 and 2');
+  }
+
+  const targetTabId = await resolveTabId(tabId);
+  const displayHeaderFooter = headerTemplate !== undefined || footerTemplate !== undefined;
+
+  let data;
+  try {
+    ({ data } = await sendDebuggerCommand(targetTabId, 'Page.printToPDF', {
+      landscape,
+      printBackground,
+      scale,
+      paperWidth: paperWidth ?? paper.width,
+      paperHeight: paperHeight ?? paper.height,
+      marginTop: margins.top ?? 0.4,
+      marginBottom: margins.bottom ?? 0.4,
+      marginLeft: margins.left ?? 0.4,
+      marginRight: margins.right ?? 0.4,
+      pageRanges,
+      displayHeaderFooter,
+      // An empty template hides that part; Chrome's defaults show the date, title, URL and page numbers
+      headerTemplate: displayHeaderFooter ? headerTemplate ?? '<span></span>' : undefined,
+      footerTemplate: displayHeaderFooter ? footerTemplate ?? '<span></span>' : undefined,
+      preferCSSPageSize
+    }));
+  } catch (error) {
+    // Chrome reports bad page ranges as a generic protocol error
+    if (pageRanges && /range/i.test(error.message)) {
+      throw new Error(`Invalid pageRanges "${pageRanges}": ${error.message}`);
+    }
+    throw error;
   }
 
+  const tab = await chrome.tabs.get(targetTabId);
+
   return {
     success: true,
     data: {
-      id: activeTab.id,
-      url: activeTab.url,
-      title: activeTab.title,
-      status: activeTab.status
+      pdf: data,
+      tabId: targetTabId,
+      url: tab.url,
+      title: tab.title
     }
   };
 }
 
-// List all tabs
-async function listTabs() {
-  const tabs = await chrome.tabs.query({});
+// Command: List cookies for a URL or domain (default: the tab's URL), values redacted unless asked for
+async function getCookies(params) {
+  const { name, includeValues = false } = params;
+  const { query, scope } = await getCookieQuery(params);
+
+  const { allowed: cookies, blocked } = await filterCookiesBySitePolicy(
+    await chrome.cookies.getAll(name ? { ...query, name } : query), 'read');
 
   return {
     success: true,
     data: {
-      tabs: tabs.map(tab => ({
-        id: tab.id,
-        url: tab.url,
-        title: tab.title,
-        active: tab.active,
-        windowId: tab.windowId,
-        status: tab.status
+      scope,
+      count: cookies.length,
+      ...(blocked > 0 ? { blockedBySitePolicy: blocked } : {}),
+      cookies: cookies.map(cookie => ({
+        name: cookie.name,
+        value: includeValues ? cookie.value : '[REDACTED]',
+        domain: cookie.domain,
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite,
+        session: cookie.session,
+        expirationDate: cookie.expirationDate ? new Date(cookie.expirationDate * 1000).toISOString() : null
       }))
     }
   };
 }
 
-// Command: Click element
-async function clickElement(params) {
+// Command: Set a cookie for a URL (default: the tab's URL)
+async function setCookie(params) {
   const {
     tabId,
-    selector,
-    selectorType = 'css',
-    waitForElement = true,
-    timeout = 5000
+    url,
+    name,
+    value = '',
+    domain,
+    path,
+    secure,
+    httpOnly,
+    sameSite,
+    expirationDate
   } = params;
 
-  if (!selector) {
-    throw new Error('Selector is required');
+  if (!name) {
+    throw new Error('Cookie name is required');
+  }
+  const sameSiteValues = { none: 'no_restriction', no_restriction: 'no_restriction', lax: 'lax', strict: 'strict' };
+  if (sameSite !== undefined && !sameSiteValues[String(sameSite).toLowerCase()]) {
+    throw new Error('sameSite must be "strict", "lax" or "none"');
   }
 
-  let targetTabId = tabId;
+  const { query, scope } = await getCookieQuery({ tabId, url });
+  const details = {
+    url: scope,
+    name,
+    value: String(value),
+    storeId: query.storeId
+  };
+  if (domain !== undefined) {
+    details.domain = domain;
+  }
+  if (path !== undefined) {
+    details.path = path;
+  }
+  if (secure !== undefined) {
+    details.secure = secure;
+  }
+  if (httpOnly !== undefined) {
+    details.httpOnly = httpOnly;
+  }
+  if (sameSite !== undefined) {
+    details.sameSite = sameSiteValues[String(sameSite).toLowerCase()];
+  }
+  // Seconds since the epoch; without it the cookie lasts for the browser session
+  if (expirationDate !== undefined) {
+    details.expirationDate = expirationDate;
+  }
 
-  if (!targetTabId) {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!activeTab) {
-      throw new Error('No active tab found');
-    }
-    targetTabId = activeTab.id;
+  const cookie = await chrome.cookies.set(details);
+  if (!cookie) {
+    const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'the browser rejected it';
+    throw new Error(`Failed to set cookie ${name} for ${scope}: ${reason}`);
   }
 
-  const results = await chrome.scripting.executeScript({
-    target: { tabId: targetTabId },
-    func: (sel, selType, wait, maxTimeout) => {
-      return new Promise((resolve, reject) => {
-        const findElement = () => {
-          let element;
+  return {
+    success: true,
+    data: {
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      session: cookie.session
+    }
+  };
+}
 
-          if (selType === 'xpath') {
-            const result = document.evaluate(
-              sel,
-              document,
-              null,
-              XPathResult.FIRST_ORDERED_NODE_TYPE,
-              null
-            );
-            element = result.singleNodeValue;
-          } else {
-            element = document.querySelector(sel);
-          }
+// Command: Delete the cookies for a URL or domain (default: the tab's URL), optionally only one name
+async function clearCookies(params) {
+  const { name } = params;
+  const { query, scope } = await getCookieQuery(params);
 
-          return element;
-        };
+  const { allowed: cookies, blocked } = await filterCookiesBySitePolicy(
+    await chrome.cookies.getAll(name ? { ...query, name } : query), 'write');
+  for (const cookie of cookies) {
+    const host = cookie.domain.replace(/^\./, '');
+    await chrome.cookies.remove({
+      url: `http${cookie.secure ? 's' : ''}://${host}${cookie.path}`,
+      name: cookie.name,
+      storeId: cookie.storeId
+    });
+  }
 
-        const attemptClick = () => {
-          const element = findElement();
+  return {
+    success: true,
+    data: {
+      scope,
+      removed: cookies.length,
+      ...(blocked > 0 ? { blockedBySitePolicy: blocked } : {}),
+      cookies: cookies.map(cookie => `${cookie.name} (${cookie.domain}${cookie.path})`)
+    }
+  };
+}
 
-          if (element) {
-            // Scroll element into view
-            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+// Helper: Drop cookies whose own site the policy doesn't allow for this access.
+// A domain query also returns every subdomain's cookies, so checking its scope isn't enough.
+async function filterCookiesBySitePolicy(cookies, access) {
+  const policy = await loadSitePolicy();
+  const allowed = cookies.filter((cookie) => {
+    const host = cookie.domain.replace(/^\./, '');
+    // Rules may name either scheme
+    return ['http', 'https'].every((scheme) => {
+      const mode = getSiteMode(policy, `${scheme}://${host}${cookie.path}`);
+      return mode === 'allow' || (mode === 'readonly' && access === 'read');
+    });
+  });
+  return { allowed, blocked: cookies.length - allowed.length };
+}
 
-            // Click the element
-            element.click();
+// Helper: URL a cookie command acts on, for the site policy. Null when it defaults to the tab's URL.
+function getCookieScopeUrl(params) {
+  if (params.url) {
+    return normalizeUrl(params.url);
+  }
+  if (params.domain) {
+    return `https://${String(params.domain).replace(/^\./, '')}/`;
+  }
+  return null;
+}
 
-            resolve({
-              success: true,
-              selector: sel,
-              selectorType: selType,
-              elementFound: true,
-              clicked: true
-            });
-          } else if (wait) {
-            // Element not found yet, keep waiting
-            return false;
-          } else {
-            reject(new Error(`Element not found: ${sel}`));
-          }
+// Helper: Build the chrome.cookies query for a url or domain, or the tab's URL,
+// in the tab's cookie store (incognito tabs have their own)
+async function getCookieQuery(params) {
+  const { tabId, url, domain } = params;
+  if (url && domain) {
+    throw new Error('Use either url or domain, not both');
+  }
 
-          return true;
-        };
+  const targetTabId = await resolveTabId(tabId);
+  const stores = await chrome.cookies.getAllCookieStores();
+  const store = stores.find(candidate => candidate.tabIds.includes(targetTabId));
+  const storeId = store ? store.id : undefined;
 
-        if (wait) {
-          // Poll for element with timeout
-          const startTime = Date.now();
-          const pollInterval = setInterval(() => {
-            if (attemptClick()) {
-              clearInterval(pollInterval);
-            } else if (Date.now() - startTime > maxTimeout) {
-              clearInterval(pollInterval);
-              reject(new Error(`Timeout waiting for element: ${sel}`));
-            }
-          }, 100);
-        } else {
-          // Try to click immediately
-          if (!attemptClick()) {
-            reject(new Error(`Element not found: ${sel}`));
+  if (domain) {
+    return { query: { domain: String(domain).replace(/^\./, ''), storeId }, scope: domain };
+  }
+
+  let scope = url ? normalizeUrl(url) : null;
+  if (!scope) {
+    const tab = await chrome.tabs.get(targetTabId);
+    scope = tab.pendingUrl || tab.url;
+  }
+  if (!/^https?:/.test(scope)) {
+    throw new Error(`Cookies are only available for http(s) URLs, not ${scope}`);
+  }
+  return { query: { url: scope, storeId }, scope };
+}
+
+// Command: Read localStorage or sessionStorage of the tab's origin, optionally only some keys
+async function storageGet(params) {
+  const { tabId, area = 'local', keys } = params;
+  return await runStorageAction(tabId, area, 'get', { keys });
+}
+
+// Command: Write items to localStorage or sessionStorage. Values that aren't strings are stored as JSON.
+async function storageSet(params) {
+  const { tabId, area = 'local', items } = params;
+  if (!items || typeof items !== 'object' || Array.isArray(items)) {
+    throw new Error('items must be an object of keys and values');
+  }
+  return await runStorageAction(tabId, area, 'set', { items });
+}
+
+// Command: Remove some keys from localStorage or sessionStorage, or clear it
+async function storageClear(params) {
+  const { tabId, area = 'local', keys } = params;
+  return await runStorageAction(tabId, area, 'clear', { keys });
+}
+
+// Helper: Run a storage action in the tab's top frame
+async function runStorageAction(tabId, area, action, options) {
+  if (area !== 'local' && area !== 'session') {
+    throw new Error('area must be "local" or "session"');
+  }
+  const targetTabId = await resolveTabId(tabId);
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: targetTabId },
+    func: (areaName, actionName, { keys, items }) => {
+      let storage;
+      try {
+        storage = areaName === 'session' ? window.sessionStorage : window.localStorage;
+      } catch (error) {
+        // Sandboxed and opaque origins have no storage
+        return { error: `${areaName}Storage is not available on ${window.location.href}: ${error.message}` };
+      }
+
+      const allKeys = () => Array.from({ length: storage.length }, (_, index) => storage.key(index));
+      const result = { origin: window.location.origin, area: areaName };
+
+      if (actionName === 'get') {
+        result.items = {};
+        for (const key of keys || allKeys()) {
+          const value = storage.getItem(key);
+          if (value !== null) {
+            result.items[key] = value;
+          }
+        }
+        result.count = Object.keys(result.items).length;
+      } else if (actionName === 'set') {
+        try {
+          for (const [key, value] of Object.entries(items)) {
+            storage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
           }
+        } catch (error) {
+          return { error: `Failed to write ${areaName}Storage: ${error.message}` };
         }
+        result.set = Object.keys(items);
+      } else {
+        const removed = (keys || allKeys()).filter(key => storage.getItem(key) !== null);
+        if (keys) {
+          removed.forEach(key => storage.removeItem(key));
+        } else {
+          storage.clear();
+        }
+        result.removed = removed;
+      }
+      return result;
+    },
+    args: [area, action, options]
+  });
+
+  const result = results[0].result;
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      ...result
+    }
+  };
+}
+
+// Command: Scroll page
+async function scrollPage(params) {
+  const { tabId, x = 0, y = 0, behavior = 'smooth' } = params;
+
+  let targetTabId = tabId;
+
+  if (!targetTabId) {
+    const activeTab = await getActiveTab();
+    if (!activeTab) {
+      throw new Error('No active tab found');
+    }
+    targetTabId = activeTab.id;
+  }
+
+  await chrome.scripting.executeScript({
+    target: { tabId: targetTabId },
+    func: (scrollX, scrollY, scrollBehavior) => {
+      window.scrollTo({
+        left: scrollX,
+        top: scrollY,
+        behavior: scrollBehavior
       });
     },
-    args: [selector, selectorType, waitForElement, timeout]
+    args: [x, y, behavior]
+  });
+
+  return {
+    success: true,
+    data: { tabId: targetTabId, x, y }
+  };
+}
+
+// Command: Find text in page
+async function findInPage(params) {
+  const { tabId, text, ref, highlightAll = false } = params;
+
+  if (!text && !ref) {
+    throw new Error('Search text or element ref is required');
+  }
+
+  let targetTabId = tabId;
+
+  if (!targetTabId) {
+    const activeTab = await getActiveTab();
+    if (!activeTab) {
+      throw new Error('No active tab found');
+    }
+    targetTabId = activeTab.id;
+  }
+
+  const frame = await resolveFrame(targetTabId, params);
+
+  const result = await executeInFrame(targetTabId, frame.frameId, (searchText, elementRef, highlight) => {
+    if (elementRef) {
+      // Search inside the element a browser_snapshot ref points to
+      const element = window.__mcpBridgeRefs?.elements.get(elementRef);
+      if (!element || !element.isConnected) {
+        return { found: false, ref: elementRef, error: 'Element ref not found or stale, take a new snapshot' };
+      }
+
+      const range = document.createRange();
+      let matched = !searchText;
+
+      if (searchText) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+          const index = walker.currentNode.data.indexOf(searchText);
+          if (index !== -1) {
+            range.setStart(walker.currentNode, index);
+            range.setEnd(walker.currentNode, index + searchText.length);
+            matched = true;
+            break;
+          }
+        }
+      } else {
+        range.selectNodeContents(element);
+      }
+
+      if (!matched) {
+        return { found: false, ref: elementRef };
+      }
+
+      element.scrollIntoView({ block: 'center' });
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+
+      const rect = range.getBoundingClientRect();
+      return {
+        found: true,
+        ref: elementRef,
+        text: range.toString(),
+        position: {
+          x: rect.left,
+          y: rect.top
+        }
+      };
+    }
+
+    const found = window.find(searchText);
+
+    if (highlight && found) {
+      const selection = window.getSelection();
+      if (selection.rangeCount > 0) {
+        const range = selection.getRangeAt(0);
+        return {
+          found: true,
+          text: range.toString(),
+          position: {
+            x: range.getBoundingClientRect().left,
+            y: range.getBoundingClientRect().top
+          }
+        };
+      }
+    }
+
+    return { found };
+  }, [text || '', ref || null, highlightAll]);
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      ...(frame.url ? { frameId: frame.frameId, frameUrl: frame.url } : {}),
+      ...result
+    }
+  };
+}
+
+// Get current active tab, or the agent session's current tab
+async function getCurrentTab(params = {}) {
+  const activeTab = params.tabId ? await chrome.tabs.get(params.tabId) : await getActiveTab();
+
+  if (!activeTab) {
+    throw new Error('No active tab found');
+  }
+
+  return {
+    success: true,
+    data: formatTab(activeTab)
+  };
+}
+
+// List all tabs, optionally filtered by window, URL and state
+async function listTabs(params = {}) {
+  const { windowId, urlPattern, audible, discarded, pinned, groupId } = params;
+
+  const query = {};
+  if (windowId !== undefined) {
+    query.windowId = windowId;
+  }
+  for (const [key, value] of Object.entries({ audible, discarded, pinned, groupId })) {
+    if (value !== undefined) {
+      query[key] = value;
+    }
+  }
+
+  let tabs = await chrome.tabs.query(query);
+  if (urlPattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(urlPattern);
+    } catch (error) {
+      throw new Error(`Invalid urlPattern: ${error.message}`);
+    }
+    tabs = tabs.filter(tab => pattern.test(tab.pendingUrl || tab.url || ''));
+  }
+
+  // Flag the tabs that belong to the calling agent session
+  const session = params.session && params.session.mode !== 'off'
+    ? await getAgentSession(params.session.id)
+    : null;
+
+  return {
+    success: true,
+    data: {
+      tabs: tabs.map(tab => session
+        ? { ...formatTab(tab), inSession: session.tabIds.includes(tab.id) }
+        : formatTab(tab))
+    }
+  };
+}
+
+// Command: Bring a tab to the front and focus its window
+async function activateTab(params) {
+  const targetTabId = await resolveTabId(params.tabId);
+
+  const tab = await chrome.tabs.update(targetTabId, { active: true });
+  const window = await chrome.windows.update(tab.windowId, { focused: true });
+
+  return {
+    success: true,
+    data: {
+      tab: formatTab(tab),
+      window: formatWindow(window)
+    }
+  };
+}
+
+// Command: List browser windows with their state and bounds
+async function listWindows(params) {
+  const { includeTabs = false } = params;
+
+  const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal', 'popup'] });
+
+  return {
+    success: true,
+    data: {
+      windows: windows.map(window => ({
+        ...formatWindow(window),
+        ...(includeTabs ? { tabs: window.tabs.map(formatTab) } : {})
+      }))
+    }
+  };
+}
+
+// Command: Open a new window, optionally with URLs, size and position
+async function createWindow(params) {
+  const {
+    url,
+    focused = true,
+    incognito = false,
+    state,
+    type = 'normal',
+    left,
+    top,
+    width,
+    height
+  } = params;
+
+  const createData = { focused, incognito, type };
+  if (url) {
+    createData.url = normalizeUrl(url);
+  }
+  // Bounds and a maximized/minimized/fullscreen state can't be combined
+  if (state && state !== 'normal') {
+    createData.state = state;
+  } else {
+    for (const [key, value] of Object.entries({ left, top, width, height })) {
+      if (value !== undefined) {
+        createData[key] = value;
+      }
+    }
+  }
+
+  const window = await chrome.windows.create(createData);
+  if (!window) {
+    throw new Error('Failed to create window (incognito windows need the extension to be allowed in incognito)');
+  }
+
+  // Wait for the page, like openPage does
+  if (url) {
+    await waitForTabLoad(window.tabs[0].id);
+  }
+
+  const created = await chrome.windows.get(window.id, { populate: true });
+  return {
+    success: true,
+    data: {
+      window: formatWindow(created),
+      tabs: created.tabs.map(formatTab)
+    }
+  };
+}
+
+// Command: Close a window and all its tabs
+async function closeWindow(params) {
+  const { windowId } = params;
+  if (windowId === undefined) {
+    throw new Error('windowId is required');
+  }
+
+  const window = await chrome.windows.get(windowId, { populate: true });
+  await chrome.windows.remove(windowId);
+
+  return {
+    success: true,
+    data: {
+      windowId,
+      closedTabs: window.tabs.map(tab => tab.id)
+    }
+  };
+}
+
+// Command: Move a tab within its window or to another window
+async function moveTab(params) {
+  const { windowId, index = -1 } = params;
+  const targetTabId = await resolveTabId(params.tabId);
+
+  const moveProperties = { index };
+  if (windowId !== undefined) {
+    moveProperties.windowId = windowId;
+  }
+  const moved = await chrome.tabs.move(targetTabId, moveProperties);
+  // Tabs moved between windows lose their active state, so read it back
+  const tab = await chrome.tabs.get(Array.isArray(moved) ? moved[0].id : moved.id);
+
+  return {
+    success: true,
+    data: formatTab(tab)
+  };
+}
+
+// Command: Pin or unpin a tab
+async function pinTab(params) {
+  const { pinned = true } = params;
+  const targetTabId = await resolveTabId(params.tabId);
+
+  const tab = await chrome.tabs.update(targetTabId, { pinned });
+
+  return {
+    success: true,
+    data: formatTab(tab)
+  };
+}
+
+// Command: Put tabs in a new or existing group with a title and color, or ungroup them
+async function groupTabs(params) {
+  const { tabIds, groupId, title, color, collapsed, ungroup = false } = params;
+
+  const targetTabIds = tabIds && tabIds.length > 0 ? tabIds : [await resolveTabId(params.tabId)];
+
+  if (ungroup) {
+    await chrome.tabs.ungroup(targetTabIds);
+    return {
+      success: true,
+      data: {
+        tabs: await Promise.all(targetTabIds.map(async id => formatTab(await chrome.tabs.get(id))))
+      }
+    };
+  }
+
+  const groupOptions = { tabIds: targetTabIds };
+  if (groupId !== undefined) {
+    groupOptions.groupId = groupId;
+  }
+  const targetGroupId = await chrome.tabs.group(groupOptions);
+
+  const updateProperties = {};
+  for (const [key, value] of Object.entries({ title, color, collapsed })) {
+    if (value !== undefined) {
+      updateProperties[key] = value;
+    }
+  }
+  const group = await chrome.tabGroups.update(targetGroupId, updateProperties);
+  const tabs = await chrome.tabs.query({ groupId: targetGroupId });
+
+  return {
+    success: true,
+    data: {
+      group: {
+        id: group.id,
+        windowId: group.windowId,
+        title: group.title,
+        color: group.color,
+        collapsed: group.collapsed
+      },
+      tabs: tabs.map(formatTab)
+    }
+  };
+}
+
+// Command: Duplicate a tab and wait for the copy to load
+async function duplicateTab(params) {
+  const targetTabId = await resolveTabId(params.tabId);
+
+  const duplicate = await chrome.tabs.duplicate(targetTabId);
+  if (!duplicate) {
+    throw new Error(`Failed to duplicate tab ${targetTabId}`);
+  }
+  const tab = await waitForTabLoad(duplicate.id);
+
+  return {
+    success: true,
+    data: {
+      sourceTabId: targetTabId,
+      ...formatTab(tab)
+    }
+  };
+}
+
+// Helper: Tab record returned by the tab commands
+function formatTab(tab) {
+  return {
+    id: tab.id,
+    windowId: tab.windowId,
+    index: tab.index,
+    url: tab.pendingUrl || tab.url,
+    title: tab.title,
+    status: tab.status,
+    active: tab.active,
+    pinned: tab.pinned,
+    audible: !!tab.audible,
+    muted: !!(tab.mutedInfo && tab.mutedInfo.muted),
+    discarded: tab.discarded,
+    groupId: tab.groupId === -1 ? null : tab.groupId,
+    incognito: tab.incognito
+  };
+}
+
+// Helper: Window record returned by the window commands
+function formatWindow(window) {
+  return {
+    id: window.id,
+    type: window.type,
+    state: window.state,
+    focused: window.focused,
+    incognito: window.incognito,
+    bounds: { left: window.left, top: window.top, width: window.width, height: window.height },
+    ...(window.tabs ? {
+      tabCount: window.tabs.length,
+      activeTabId: window.tabs.find(tab => tab.active)?.id ?? null
+    } : {})
+  };
+}
+
+// Commands that never default to a session tab: they open tabs, list them
+// or name their window explicitly
+const SESSIONLESS_COMMANDS = new Set(['openPage', 'createWindow', 'listTabs', 'listWindows', 'closeWindow']);
+
+// Recording watches the user perform a flow in their own tab, so it ignores sessions
+const USER_TAB_COMMANDS = new Set(['startRecording', 'stopRecording', 'endSession']);
+
+// Helper: Point a command at the agent session's tabs. Without a tabId it acts on
+// the session's current tab; tabs outside the session need allowOtherTabs.
+async function applyAgentSession(command, params) {
+  const { id, mode } = params.session;
+  if (mode === 'off' || USER_TAB_COMMANDS.has(command)) {
+    return params;
+  }
+
+  const session = await getAgentSession(id);
+
+  if (command === 'openPage' && !params.newWindow) {
+    // New pages go in the session's window or beside its tab group. Group mode
+    // shares the user's window, so its tabs open in the background.
+    const windowId = session && session.windowId;
+    const window = windowId ? await chrome.windows.get(windowId).catch(() => null) : null;
+    if (mode === 'group') {
+      return window ? { ...params, windowId, active: false } : { ...params, active: false };
+    }
+    if (window) {
+      return { ...params, windowId };
+    }
+    return { ...params, newWindow: true, active: false };
+  }
+
+  if (!params.allowOtherTabs) {
+    const targets = [params.tabId, ...(params.tabIds || [])].filter(tabId => tabId);
+    if (command === 'closeWindow' && params.windowId !== undefined) {
+      const tabs = await chrome.tabs.query({ windowId: params.windowId });
+      targets.push(...tabs.map(tab => tab.id));
+    }
+    const outside = targets.filter(tabId => !session || !session.tabIds.includes(tabId));
+    if (outside.length > 0) {
+      throw new Error(`Tab ${outside.join(', ')} is not part of this agent session. ` +
+        'Pass allowOtherTabs: true to act on it anyway.');
+    }
+  }
+
+  if (SESSIONLESS_COMMANDS.has(command)) {
+    return params;
+  }
+  if (params.tabId || (params.tabIds && params.tabIds.length > 0)) {
+    await updateAgentSessions((sessions) => {
+      if (sessions[id] && sessions[id].tabIds.includes(params.tabId)) {
+        sessions[id].currentTabId = params.tabId;
+      }
+    });
+    return params;
+  }
+
+  if (!session || session.tabIds.length === 0) {
+    return { ...params, tabId: await openSessionTab({ id, mode }, session) };
+  }
+  return { ...params, tabId: session.currentTabId };
+}
+
+// Helper: Open the session's window or group with a blank tab, for the first
+// command that needs a tab before the agent has opened a page
+async function openSessionTab(agentSession, session) {
+  const windowId = session && session.windowId;
+  const window = windowId ? await chrome.windows.get(windowId).catch(() => null) : null;
+
+  let tab;
+  if (window) {
+    tab = await chrome.tabs.create({ url: 'about:blank', windowId, active: agentSession.mode === 'window' });
+  } else if (agentSession.mode === 'window') {
+    const created = await chrome.windows.create({ url: 'about:blank', focused: false });
+    tab = created.tabs[0];
+  } else {
+    tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+  }
+
+  await adoptSessionTabs(agentSession, [tab.id], tab.windowId);
+  return tab.id;
+}
+
+// Helper: Add tabs the session opened to it, grouping them in 'group' mode
+async function adoptSessionTabs({ id, mode }, tabIds, windowId = null) {
+  if (tabIds.length === 0) {
+    return;
+  }
+
+  let groupId = null;
+  if (mode === 'group') {
+    const session = await getAgentSession(id);
+    const group = session && session.groupId !== null
+      ? await chrome.tabGroups.get(session.groupId).catch(() => null)
+      : null;
+    // A group can't span windows, so tabs opened elsewhere are tracked but not grouped
+    const tabs = await Promise.all(tabIds.map(tabId => chrome.tabs.get(tabId)));
+    const groupWindowId = group ? group.windowId : tabs[0].windowId;
+    const groupable = tabs.filter(tab => tab.windowId === groupWindowId).map(tab => tab.id);
+    groupId = await chrome.tabs.group(group ? { tabIds: groupable, groupId: group.id } : { tabIds: groupable });
+    if (!group) {
+      await chrome.tabGroups.update(groupId, { title: AGENT_GROUP_TITLE, color: AGENT_GROUP_COLOR });
+    }
+    windowId = groupWindowId;
+  }
+
+  await updateAgentSessions((sessions) => {
+    const session = sessions[id] || (sessions[id] = { mode, windowId: null, groupId: null, tabIds: [], currentTabId: null });
+    for (const tabId of tabIds) {
+      if (!session.tabIds.includes(tabId)) {
+        session.tabIds.push(tabId);
+      }
+    }
+    session.currentTabId = tabIds[tabIds.length - 1];
+    if (groupId !== null) {
+      session.groupId = groupId;
+    }
+    // New pages open beside the latest ones
+    if (windowId !== null) {
+      session.windowId = windowId;
+    }
+  });
+}
+
+// Helper: Tabs a command opened, for adding them to the agent session
+function getOpenedTabs(command, data) {
+  switch (command) {
+    case 'openPage':
+      return { tabIds: [data.tabId], windowId: data.windowId ?? null };
+    case 'createWindow':
+      return { tabIds: data.tabs.map(tab => tab.id), windowId: data.window.id };
+    case 'duplicateTab':
+      return { tabIds: [data.id], windowId: data.windowId };
+    default:
+      return null;
+  }
+}
+
+// Command: Close the agent session's tabs (or keep them) and forget the session
+async function endSession(params) {
+  const { session, keep = false } = params;
+  if (!session) {
+    throw new Error('session is required');
+  }
+
+  const ended = await updateAgentSessions((sessions) => {
+    const found = sessions[session.id];
+    delete sessions[session.id];
+    return found;
+  });
+  const tabIds = ended ? ended.tabIds : [];
+
+  if (!keep && tabIds.length > 0) {
+    await chrome.tabs.remove(tabIds).catch(() => {});
+  }
+
+  return {
+    success: true,
+    data: {
+      closedTabs: keep ? [] : tabIds,
+      keptTabs: keep ? tabIds : []
+    }
+  };
+}
+
+// Helper: The agent session with this id, or null before it has opened a tab
+async function getAgentSession(id) {
+  const stored = await chrome.storage.session.get([AGENT_SESSIONS_STORAGE_KEY]);
+  const sessions = stored[AGENT_SESSIONS_STORAGE_KEY] || {};
+  return sessions[id] || null;
+}
+
+// Helper: Read-modify-write the agent sessions in session storage, one update at a time
+function updateAgentSessions(update) {
+  const run = agentSessionsQueue.then(async () => {
+    const stored = await chrome.storage.session.get([AGENT_SESSIONS_STORAGE_KEY]);
+    const sessions = stored[AGENT_SESSIONS_STORAGE_KEY] || {};
+    const result = update(sessions);
+    await chrome.storage.session.set({ [AGENT_SESSIONS_STORAGE_KEY]: sessions });
+    return result;
+  });
+  agentSessionsQueue = run.catch(() => {});
+  return run;
+}
+
+// Command: Click element
+async function clickElement(params) {
+  const {
+    tabId,
+    selector,
+    selectorType = 'css',
+    waitForElement = true,
+    timeout = 5000
+  } = params;
+
+  if (!selector) {
+    throw new Error('Selector or mark is required');
+  }
+
+  let targetTabId = tabId;
+
+  if (!targetTabId) {
+    const activeTab = await getActiveTab();
+    if (!activeTab) {
+      throw new Error('No active tab found');
+    }
+    targetTabId = activeTab.id;
+  }
+
+  const frame = await resolveFrame(targetTabId, params);
+
+  const result = await executeInFrame(targetTabId, frame.frameId, (sel, selType, wait, maxTimeout) => {
+    return new Promise((resolve, reject) => {
+      const attemptClick = () => {
+        const element = window.__mcpBridgeFindElement(sel, selType);
+
+        if (element) {
+          // Scroll element into view
+          element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+          // Click the element
+          element.click();
+
+          resolve({
+            success: true,
+            selector: sel,
+            selectorType: selType,
+            elementFound: true,
+            clicked: true
+          });
+        } else if (wait && selType !== 'ref') {
+          // Element not found yet, keep waiting
+          return false;
+        } else if (selType === 'ref') {
+          reject(new Error(`Element ref not found or stale, take a new snapshot: ${sel}`));
+        } else {
+          reject(new Error(`Element not found: ${sel}`));
+        }
+
+        return true;
+      };
+
+      if (wait) {
+        // Poll for element with timeout
+        const startTime = Date.now();
+        const pollInterval = setInterval(() => {
+          if (attemptClick()) {
+            clearInterval(pollInterval);
+          } else if (Date.now() - startTime > maxTimeout) {
+            clearInterval(pollInterval);
+            reject(new Error(`Timeout waiting for element: ${sel}`));
+          }
+        }, 100);
+      } else {
+        // Try to click immediately
+        if (!attemptClick()) {
+          reject(new Error(`Element not found: ${sel}`));
+        }
+      }
+    });
+  }, [selector, selectorType, waitForElement, timeout]);
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      ...(frame.url ? { frameId: frame.frameId, frameUrl: frame.url } : {}),
+      ...result
+    }
+  };
+}
+
+// Command: Fill form fields
+async function fillFormFields(params) {
+  const {
+    tabId,
+    fields,
+    waitForElements = true,
+    timeout = 5000
+  } = params;
+
+  if (!fields || !Array.isArray(fields) || fields.length === 0) {
+    throw new Error('Fields array is required and must not be empty');
+  }
+
+  let targetTabId = tabId;
+
+  if (!targetTabId) {
+    const activeTab = await getActiveTab();
+    if (!activeTab) {
+      throw new Error('No active tab found');
+    }
+    targetTabId = activeTab.id;
+  }
+
+  const frame = await resolveFrame(targetTabId, params);
+
+  const result = await executeInFrame(targetTabId, frame.frameId, (fieldsData, wait, maxTimeout) => {
+    return new Promise((resolve, reject) => {
+      const fieldResults = [];
+
+      const fillField = (fieldConfig) => {
+        const { selector, selectorType = 'css', value, clear = true } = fieldConfig;
+        const element = window.__mcpBridgeFindElement(selector, selectorType);
+
+        if (!element) {
+          return {
+            selector,
+            success: false,
+            error: 'Element not found'
+          };
+        }
+
+        // Scroll element into view
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        // Clear existing value if requested
+        if (clear) {
+          element.value = '';
+        }
+
+        // Set the value
+        element.value = value;
+
+        // Trigger input events to notify listeners
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+
+        return {
+          selector,
+          success: true,
+          value
+        };
+      };
+
+      const fillAllFields = () => {
+        let allFound = true;
+
+        for (const field of fieldsData) {
+          const result = fillField(field);
+          fieldResults.push(result);
+
+          if (!result.success && wait) {
+            allFound = false;
+          }
+        }
+
+        return allFound;
+      };
+
+      if (wait) {
+        // Poll for all elements with timeout
+        const startTime = Date.now();
+        const pollInterval = setInterval(() => {
+          if (fillAllFields()) {
+            clearInterval(pollInterval);
+            resolve({
+              success: true,
+              fieldsFilled: fieldResults.filter(r => r.success).length,
+              totalFields: fieldsData.length,
+              results: fieldResults
+            });
+          } else if (Date.now() - startTime > maxTimeout) {
+            clearInterval(pollInterval);
+            resolve({
+              success: false,
+              error: 'Timeout waiting for some elements',
+              fieldsFilled: fieldResults.filter(r => r.success).length,
+              totalFields: fieldsData.length,
+              results: fieldResults
+            });
+          } else {
+            // Reset for next attempt
+            fieldResults.length = 0;
+          }
+        }, 100);
+      } else {
+        // Try to fill immediately
+        fillAllFields();
+        resolve({
+          success: fieldResults.every(r => r.success),
+          fieldsFilled: fieldResults.filter(r => r.success).length,
+          totalFields: fieldsData.length,
+          results: fieldResults
+        });
+      }
+    });
+  }, [fields, waitForElements, timeout]);
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      ...(frame.url ? { frameId: frame.frameId, frameUrl: frame.url } : {}),
+      ...result
+    }
+  };
+}
+
+// Command: Type text with real keyboard events
+async function typeText(params) {
+  const {
+    tabId,
+    text,
+    selector,
+    selectorType = 'css',
+    clear = false,
+    delay = 0,
+    timeout = 5000
+  } = params;
+
+  if (typeof text !== 'string') {
+    throw new Error('Text is required');
+  }
+
+  const targetTabId = await resolveTabId(tabId);
+
+  if (selector) {
+    await focusElement(targetTabId, selector, selectorType, timeout, clear);
+    if (clear) {
+      await dispatchKeyPress(targetTabId, getKeyDefinition('Backspace'), 0);
+    }
+  }
+
+  for (const char of text) {
+    if (char === '\n') {
+      await dispatchKeyPress(targetTabId, getKeyDefinition('Enter'), 0);
+    } else if (char >= ' ' && char <= '~') {
+      await dispatchKeyPress(targetTabId, getKeyDefinition(char), 0);
+    } else {
+      // Characters without a US keyboard key are inserted as composed text
+      await sendDebuggerCommand(targetTabId, 'Input.insertText', { text: char });
+    }
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      selector: selector || null,
+      charactersTyped: [...text].length
+    }
+  };
+}
+
+// Command: Press a key or key combination (e.g. "Enter", "Control+A")
+async function pressKey(params) {
+  const {
+    tabId,
+    key,
+    selector,
+    selectorType = 'css',
+    timeout = 5000
+  } = params;
+
+  if (!key) {
+    throw new Error('Key is required');
+  }
+
+  const targetTabId = await resolveTabId(tabId);
+
+  // Split on "+" separators, keeping a literal "+" key (e.g. "Control++")
+  const parts = key.split(/\+(?=.)/);
+  const mainKey = parts.pop();
+  const modifierNames = parts.map(name => MODIFIER_ALIASES[name] || name);
+
+  for (const name of modifierNames) {
+    if (!MODIFIER_BITS[name]) {
+      throw new Error(`Unknown modifier key: ${name}`);
+    }
+  }
+
+  if (selector) {
+    await focusElement(targetTabId, selector, selectorType, timeout, false);
+  }
+
+  // Hold modifiers down, press the key, then release in reverse order
+  let modifiers = 0;
+  for (const name of modifierNames) {
+    modifiers |= MODIFIER_BITS[name];
+    await sendKeyEvent(targetTabId, 'rawKeyDown', getKeyDefinition(name), modifiers);
+  }
+
+  await dispatchKeyPress(targetTabId, getKeyDefinition(mainKey), modifiers);
+
+  for (const name of [...modifierNames].reverse()) {
+    modifiers &= ~MODIFIER_BITS[name];
+    await sendKeyEvent(targetTabId, 'keyUp', getKeyDefinition(name), modifiers);
+  }
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      key,
+      selector: selector || null
+    }
+  };
+}
+
+// Keyboard definitions for keys that don't map to a single printable character
+const KEY_DEFINITIONS = {
+  Enter: { code: 'Enter', keyCode: 13, text: '\r' },
+  Tab: { code: 'Tab', keyCode: 9 },
+  Escape: { code: 'Escape', keyCode: 27 },
+  Backspace: { code: 'Backspace', keyCode: 8 },
+  Delete: { code: 'Delete', keyCode: 46 },
+  Space: { key: ' ', code: 'Space', keyCode: 32, text: ' ' },
+  ArrowUp: { code: 'ArrowUp', keyCode: 38 },
+  ArrowDown: { code: 'ArrowDown', keyCode: 40 },
+  ArrowLeft: { code: 'ArrowLeft', keyCode: 37 },
+  ArrowRight: { code: 'ArrowRight', keyCode: 39 },
+  Home: { code: 'Home', keyCode: 36 },
+  End: { code: 'End', keyCode: 35 },
+  PageUp: { code: 'PageUp', keyCode: 33 },
+  PageDown: { code: 'PageDown', keyCode: 34 },
+  Insert: { code: 'Insert', keyCode: 45 },
+  Alt: { code: 'AltLeft', keyCode: 18 },
+  Control: { code: 'ControlLeft', keyCode: 17 },
+  Meta: { code: 'MetaLeft', keyCode: 91 },
+  Shift: { code: 'ShiftLeft', keyCode: 16 }
+};
+
+// Modifier bit flags used by Input.dispatchKeyEvent
+const MODIFIER_BITS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+const MODIFIER_ALIASES = { Ctrl: 'Control', Cmd: 'Meta', Command: 'Meta', Option: 'Alt' };
+
+const SHIFTED_PUNCTUATION = '~!@#$%^&*()_+{}|:"<>?';
+const PUNCTUATION_CODES = {
+  '`': 'Backquote', '~': 'Backquote', '-': 'Minus', '_': 'Minus', '=': 'Equal', '+': 'Equal',
+  '[': 'BracketLeft', '{': 'BracketLeft', ']': 'BracketRight', '}': 'BracketRight',
+  '\\': 'Backslash', '|': 'Backslash', ';': 'Semicolon', ':': 'Semicolon',
+  "'": 'Quote', '"': 'Quote', ',': 'Comma', '<': 'Comma', '.': 'Period', '>': 'Period',
+  '/': 'Slash', '?': 'Slash', '!': 'Digit1', '@': 'Digit2', '#': 'Digit3', '$': 'Digit4',
+  '%': 'Digit5', '^': 'Digit6', '&': 'Digit7', '*': 'Digit8', '(': 'Digit9', ')': 'Digit0'
+};
+
+// Helper: Build the key event description for a key name or character
+function getKeyDefinition(key) {
+  const name = MODIFIER_ALIASES[key] || key;
+
+  if (KEY_DEFINITIONS[name]) {
+    return { key: name, ...KEY_DEFINITIONS[name] };
+  }
+
+  if (/^F([1-9]|1[0-2])$/.test(name)) {
+    return { key: name, code: name, keyCode: 111 + parseInt(name.slice(1), 10) };
+  }
+
+  if (name.length !== 1) {
+    throw new Error(`Unknown key: ${key}`);
+  }
+
+  if (name === ' ') {
+    return { key: ' ', ...KEY_DEFINITIONS.Space };
+  }
+
+  if (/[a-zA-Z]/.test(name)) {
+    const upper = name.toUpperCase();
+    return { key: name, code: `Key${upper}`, keyCode: upper.charCodeAt(0), text: name, shift: name !== name.toLowerCase() };
+  }
+
+  if (/[0-9]/.test(name)) {
+    return { key: name, code: `Digit${name}`, keyCode: name.charCodeAt(0), text: name };
+  }
+
+  return {
+    key: name,
+    code: PUNCTUATION_CODES[name] || '',
+    keyCode: 0,
+    text: name,
+    shift: SHIFTED_PUNCTUATION.includes(name)
+  };
+}
+
+// Helper: Press and release a single key with the given modifiers held
+async function dispatchKeyPress(tabId, definition, modifiers) {
+  const keyModifiers = definition.shift ? modifiers | MODIFIER_BITS.Shift : modifiers;
+  // Shortcuts such as Ctrl+A must not insert their character
+  const producesText = definition.text && !(keyModifiers & ~MODIFIER_BITS.Shift);
+
+  await sendKeyEvent(tabId, producesText ? 'keyDown' : 'rawKeyDown', definition, keyModifiers, producesText);
+  await sendKeyEvent(tabId, 'keyUp', definition, keyModifiers, false);
+}
+
+// Helper: Send one trusted key event through the debugger protocol
+async function sendKeyEvent(tabId, type, definition, modifiers, withText = false) {
+  await sendDebuggerCommand(tabId, 'Input.dispatchKeyEvent', {
+    type,
+    modifiers,
+    key: definition.key,
+    code: definition.code,
+    windowsVirtualKeyCode: definition.keyCode,
+    nativeVirtualKeyCode: definition.keyCode,
+    ...(withText ? { text: definition.text, unmodifiedText: definition.text } : {})
+  });
+}
+
+// Helper: Wait for an element, scroll it into view and focus it
+async function focusElement(tabId, selector, selectorType, timeout, selectContents) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (sel, selType, maxTimeout, selectAll) => {
+      return new Promise((resolve) => {
+        const findElement = () => {
+          if (selType === 'xpath') {
+            const result = document.evaluate(
+              sel,
+              document,
+              null,
+              XPathResult.FIRST_ORDERED_NODE_TYPE,
+              null
+            );
+            return result.singleNodeValue;
+          }
+          if (selType === 'ref') {
+            const element = window.__mcpBridgeRefs?.elements.get(sel);
+            return element && element.isConnected ? element : null;
+          }
+          return document.querySelector(sel);
+        };
+
+        const attemptFocus = () => {
+          const element = findElement();
+          if (!element) {
+            return false;
+          }
+
+          element.scrollIntoView({ block: 'center' });
+          element.focus();
+
+          if (selectAll) {
+            if (typeof element.select === 'function') {
+              element.select();
+            } else if (element.isContentEditable) {
+              document.execCommand('selectAll');
+            }
+          }
+
+          resolve({ focused: document.activeElement === element });
+          return true;
+        };
+
+        if (attemptFocus()) {
+          return;
+        }
+
+        const startTime = Date.now();
+        const pollInterval = setInterval(() => {
+          if (attemptFocus()) {
+            clearInterval(pollInterval);
+          } else if (Date.now() - startTime > maxTimeout) {
+            clearInterval(pollInterval);
+            resolve({ error: `Timeout waiting for element: ${sel}` });
+          }
+        }, 100);
+      });
+    },
+    args: [selector, selectorType, timeout, selectContents]
+  });
+
+  const result = results[0].result;
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  return result;
+}
+
+// Helper: Send a Chrome DevTools Protocol command, attaching the debugger on first use
+async function sendDebuggerCommand(tabId, method, commandParams = {}) {
+  await ensureDebuggerAttached(tabId);
+  return await chrome.debugger.sendCommand({ tabId }, method, commandParams);
+}
+
+// Helper: Attach the debugger to a tab and enable the domains the bridge listens to
+async function ensureDebuggerAttached(tabId) {
+  if (debuggerTabs.has(tabId)) {
+    return;
+  }
+
+  await chrome.debugger.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION);
+  debuggerTabs.add(tabId);
+  // Keeps response bodies retrievable for browser_get_network_log
+  await chrome.debugger.sendCommand({ tabId }, 'Network.enable', {});
+  // Reports frame execution contexts for browser_evaluate
+  await chrome.debugger.sendCommand({ tabId }, 'Runtime.enable', {});
+}
+
+// Helper: Detach the debugger from tabs that don't capture response bodies, so Chrome's
+// "started debugging this browser" banner only shows while a command needs it
+async function detachIdleDebuggers() {
+  if (runningCommands > 0) {
+    return;
+  }
+  for (const tabId of [...debuggerTabs]) {
+    if (bodyCaptureTabs.has(tabId)) {
+      continue;
+    }
+    debuggerTabs.delete(tabId);
+    executionContexts.delete(tabId);
+    await chrome.debugger.detach({ tabId }).catch(() => {});
+  }
+}
+
+// Command: Get page content
+async function getPageContent(params) {
+  const {
+    tabId,
+    format = 'html',
+    readable = false,
+    selector,
+    selectorType = 'css',
+    offset = 0,
+    maxLength = DEFAULT_CONTENT_LENGTH,
+    includeMetadata = true,
+    includeFrames = false
+  } = params;
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+  if (!Number.isInteger(maxLength) || maxLength <= 0) {
+    throw new Error('maxLength must be a positive integer');
+  }
+  // html and text have different lengths, so one offset can't page through both
+  if (format === 'both' && offset > 0) {
+    throw new Error("offset can't be used with format 'both'. Request format 'html' or 'text' with " +
+      'that format\'s pagination nextOffset to read the rest of it');
+  }
+
+  let targetTabId = tabId;
+
+  if (!targetTabId) {
+    const activeTab = await getActiveTab();
+    if (!activeTab) {
+      throw new Error('No active tab found');
+    }
+    targetTabId = activeTab.id;
+  }
+
+  const frame = await resolveFrame(targetTabId, params);
+
+  const content = await executeInFrame(targetTabId, frame.frameId, extractPageContent,
+    [format, readable, selector || null, selectorType, offset, maxLength]);
+  if (content.error) {
+    throw new Error(content.error);
+  }
+  const frames = includeFrames
+    ? await getFrameContents(targetTabId, frame.frameId, format, readable, maxLength)
+    : null;
+  const tabInfo = await chrome.tabs.get(targetTabId);
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      ...(frame.url ? { frameId: frame.frameId, frameUrl: frame.url } : {}),
+      format: format,
+      readable: readable,
+      ...content,
+      ...(frames ? { frames } : {}),
+      ...(includeMetadata ? {
+        tabInfo: {
+          url: tabInfo.url,
+          title: tabInfo.title,
+          status: tabInfo.status,
+          favIconUrl: tabInfo.favIconUrl
+        }
+      } : {})
+    }
+  };
+}
+
+// Helper: Extract a frame's content in the given format, one piece at a time.
+// Runs inside the page (via executeInFrame), so it must stay self-contained.
+function extractPageContent(contentFormat, readableOnly, scopeSelector, scopeSelectorType, start, maxChars) {
+  const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe',
+    'object', 'embed', 'video', 'audio', 'map', 'button', 'input', 'select', 'textarea', 'option', 'head']);
+  const BLOCK_TAGS = new Set(['address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div',
+    'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul']);
+  const BLOCK_DISPLAYS = ['block', 'flex', 'grid', 'list-item', 'table', 'flow-root'];
+  // Site chrome that readable mode leaves out
+  const NOISE_ROLES = ['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog'];
+  const NOISE_PATTERN = /\b(ads?|advert\w*|sponsor\w*|promo\w*|cookie\w*|consent|newsletter|subscribe|social|share|sharing|related|recommend\w*|sidebar|comments?|popup|modal|breadcrumbs?|skip-link)\b/i;
+
+  const isHidden = (element) => {
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    const style = getComputedStyle(element);
+    return style.display === 'none' || style.visibility === 'hidden';
+  };
+
+  const isNoise = (element) => {
+    const tag = element.localName;
+    if (tag === 'nav' || tag === 'aside') {
+      return true;
+    }
+    // Article headers and footers hold the title and byline
+    if ((tag === 'header' || tag === 'footer') && !element.closest('article')) {
+      return true;
+    }
+    if (NOISE_ROLES.includes(element.getAttribute('role'))) {
+      return true;
+    }
+    return NOISE_PATTERN.test(`${element.id} ${element.getAttribute('class') || ''}`);
+  };
+
+  const shouldSkip = (element) => {
+    return SKIPPED_TAGS.has(element.localName) || isHidden(element) || (readableOnly && isNoise(element));
+  };
+
+  // Optional subtree to extract instead of the whole page
+  let scope = null;
+  if (scopeSelector) {
+    scope = window.__mcpBridgeFindElement(scopeSelector, scopeSelectorType);
+    if (!scope) {
+      return { error: `Element not found: ${scopeSelector}` };
+    }
+  }
+
+  // The selected element, or in readable mode the main content element, like reader views pick it
+  const getContentRoot = () => {
+    if (scope) {
+      return scope;
+    }
+    if (!readableOnly) {
+      return document.body;
+    }
+
+    const landmarks = [...document.querySelectorAll('main, [role="main"], article')]
+      .filter(element => !isHidden(element));
+    if (landmarks.length > 0) {
+      return landmarks.reduce((best, element) =>
+        element.innerText.length > best.innerText.length ? element : best);
+    }
+
+    // No landmarks: the element whose paragraphs hold the most text
+    const scores = new Map();
+    for (const paragraph of document.querySelectorAll('p, pre')) {
+      const length = paragraph.innerText.trim().length;
+      if (length < 25) {
+        continue;
+      }
+      const parent = paragraph.parentElement;
+      if (parent) {
+        scores.set(parent, (scores.get(parent) || 0) + length);
+        if (parent.parentElement) {
+          scores.set(parent.parentElement, (scores.get(parent.parentElement) || 0) + length / 2);
+        }
+      }
+    }
+    let best = document.body;
+    let bestScore = 0;
+    for (const [element, score] of scores) {
+      if (score > bestScore) {
+        best = element;
+        bestScore = score;
+      }
+    }
+    return best;
+  };
+
+  // Render the DOM as Markdown, or as plain text with the same structure
+  const toMarkdown = (root, plain) => {
+    const isBlock = (element) => {
+      return BLOCK_TAGS.has(element.localName) || BLOCK_DISPLAYS.includes(getComputedStyle(element).display);
+    };
+
+    const inline = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || shouldSkip(node)) {
+        return '';
+      }
+
+      const children = () => [...node.childNodes].map(inline).join('');
+      const wrap = (marker) => {
+        const text = children();
+        return plain || !text.trim() ? text : text.replace(/^(\s*)(.*?)(\s*)$/s, `$1${marker}$2${marker}$3`);
+      };
+
+      switch (node.localName) {
+        case 'br':
+          return '\n';
+        case 'a': {
+          const text = children().trim();
+          const href = node.href;
+          if (plain || !href || href.startsWith('javascript:') || !text) {
+            return text;
+          }
+          return `[${text}](${href})`;
+        }
+        case 'img': {
+          const alt = (node.getAttribute('alt') || '').trim();
+          const src = node.currentSrc || node.src;
+          if (plain) {
+            return alt;
+          }
+          return src && !src.startsWith('data:') ? `![${alt}](${src})` : (alt ? `![${alt}]` : '');
+        }
+        case 'code':
+        case 'kbd':
+        case 'samp': {
+          const text = node.textContent;
+          if (plain || !text) {
+            return text;
+          }
+          const fence = text.includes('`') ? '``' : '`';
+          return `${fence}${text}${fence}`;
+        }
+        case 'strong':
+        case 'b':
+          return wrap('**');
+        case 'em':
+        case 'i':
+          return wrap('_');
+        case 'del':
+        case 's':
+          return wrap('~~');
+        default:
+          return children();
+      }
+    };
+
+    // Render children as blocks, gathering inline runs into paragraphs
+    const blocksOf = (parent) => {
+      const blocks = [];
+      let buffer = '';
+      const flush = () => {
+        const text = buffer.replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+        if (text) {
+          blocks.push(text);
+        }
+        buffer = '';
+      };
+
+      for (const child of parent.childNodes) {
+        if (child.nodeType === Node.ELEMENT_NODE && !shouldSkip(child) && isBlock(child)) {
+          flush();
+          blocks.push(...block(child));
+        } else {
+          buffer += inline(child);
+        }
+      }
+      flush();
+      return blocks;
+    };
+
+    const indent = (text, prefix) => text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+
+    const list = (element) => {
+      const ordered = element.localName === 'ol';
+      let number = ordered ? Number(element.getAttribute('start') || 1) : 0;
+      const items = [];
+
+      for (const item of element.children) {
+        if (item.localName !== 'li' || shouldSkip(item)) {
+          continue;
+        }
+        const marker = ordered ? `${number++}. ` : '- ';
+        const content = blocksOf(item).join('\n');
+        const padding = ' '.repeat(marker.length);
+        items.push(marker + indent(content, padding).slice(padding.length));
+      }
+      return items.length > 0 ? [items.join('\n')] : [];
+    };
+
+    const table = (element) => {
+      const rows = [...element.rows]
+        .filter(row => !shouldSkip(row))
+        .map(row => [...row.cells].flatMap((cell) => {
+          const text = inline(cell).replace(/\s+/g, ' ').trim();
+          return [plain ? text : text.replace(/\|/g, '\\|'), ...Array(Math.max(0, cell.colSpan - 1)).fill('')];
+        }));
+      if (rows.length === 0) {
+        return [];
+      }
+      if (plain) {
+        return [rows.map(cells => cells.join('\t')).join('\n')];
+      }
+
+      const width = Math.max(...rows.map(cells => cells.length));
+      const line = (cells) => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+      const caption = element.caption ? inline(element.caption).trim() : '';
+      const lines = [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)];
+      return caption ? [caption, lines.join('\n')] : [lines.join('\n')];
+    };
+
+    const block = (element) => {
+      const tag = element.localName;
+
+      if (/^h[1-6]$/.test(tag)) {
+        const text = inline(element).replace(/\s+/g, ' ').trim();
+        return text ? [plain ? text : `${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+      }
+
+      switch (tag) {
+        case 'ul':
+        case 'ol':
+          return list(element);
+        case 'table':
+          return table(element);
+        case 'hr':
+          return plain ? [] : ['---'];
+        case 'pre': {
+          const code = element.innerText.replace(/\n+$/, '');
+          if (plain) {
+            return code ? [code] : [];
+          }
+          const language = ((element.querySelector('code') || element).className.match(/lang(?:uage)?-([\w+#-]+)/) || [])[1] || '';
+          const fence = code.includes('```') ? '~~~~' : '```';
+          return [`${fence}${language}\n${code}\n${fence}`];
+        }
+        case 'blockquote': {
+          const content = blocksOf(element).join('\n\n');
+          return content ? [plain ? content : indent(content, '> ').replace(/^$/gm, '>')] : [];
+        }
+        case 'dl': {
+          // Terms and definitions stay together
+          const lines = [...element.children]
+            .filter(child => !shouldSkip(child))
+            .flatMap(block);
+          return lines.length > 0 ? [lines.join('\n')] : [];
+        }
+        case 'dt': {
+          const text = inline(element).trim();
+          return text ? [plain ? text : `**${text}**`] : [];
+        }
+        case 'dd': {
+          const content = blocksOf(element).join('\n');
+          return content ? [plain ? indent(content, '  ') : `: ${content}`] : [];
+        }
+        default:
+          return blocksOf(element);
+      }
+    };
+
+    return blocksOf(root).join('\n\n').replace(/\n{3,}/g, '\n\n');
+  };
+
+  const getHtml = () => {
+    if (!readableOnly) {
+      return (scope || document.documentElement).outerHTML;
+    }
+    // Mark what readable mode drops, then copy the main content without it
+    const root = getContentRoot();
+    const dropped = [...root.querySelectorAll('*')].filter(shouldSkip);
+    dropped.forEach(element => element.setAttribute('data-mcp-bridge-drop', ''));
+    const copy = root.cloneNode(true);
+    dropped.forEach(element => element.removeAttribute('data-mcp-bridge-drop'));
+    copy.querySelectorAll('[data-mcp-bridge-drop]').forEach(element => element.remove());
+    return copy.outerHTML;
+  };
+
+  const getText = () => {
+    return readableOnly ? toMarkdown(getContentRoot(), true) : (scope || document.body).innerText;
+  };
+
+  const getMarkdown = () => {
+    return toMarkdown(getContentRoot(), false);
+  };
+
+  const getMetadata = () => {
+    return {
+      title: document.title,
+      url: window.location.href,
+      domain: window.location.hostname,
+      description: document.querySelector('meta[name="description"]')?.content || '',
+      keywords: document.querySelector('meta[name="keywords"]')?.content || '',
+      ogTitle: document.querySelector('meta[property="og:title"]')?.content || '',
+      ogDescription: document.querySelector('meta[property="og:description"]')?.content || '',
+      ogImage: document.querySelector('meta[property="og:image"]')?.content || '',
+      canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || '',
+      lang: document.documentElement.lang || '',
+      charset: document.characterSet || ''
+    };
+  };
+
+  // Only the requested piece leaves the page, so huge pages stay small on the wire
+  const pagination = {};
+  const getChunk = (field, value) => {
+    const totalLength = value.length;
+    let end = Math.min(totalLength, start + maxChars);
+    if (end < totalLength) {
+      // Prefer ending the piece at a line break, and never inside a surrogate pair.
+      // A one-character piece takes the whole pair so paging still moves forward.
+      const lineBreak = value.lastIndexOf('\n', end - 1);
+      if (lineBreak >= start + maxChars * 0.8) {
+        end = lineBreak + 1;
+      } else if (/[\uD800-\uDBFF]/.test(value[end - 1])) {
+        end = end - 1 > start ? end - 1 : end + 1;
+      }
+    }
+    const from = Math.min(start, totalLength);
+    pagination[field] = {
+      offset: from,
+      length: end - from,
+      totalLength,
+      nextOffset: end < totalLength ? end : null
+    };
+    return value.slice(from, end);
+  };
+
+  const extractors = { html: getHtml, text: getText, markdown: getMarkdown };
+  const fields = contentFormat === 'both' ? ['html', 'text'] : [extractors[contentFormat] ? contentFormat : 'html'];
+
+  const content = {};
+  for (const field of fields) {
+    content[field] = getChunk(field, extractors[field]());
+  }
+
+  return {
+    ...content,
+    pagination,
+    metadata: getMetadata()
+  };
+}
+
+// Helper: Content of every frame nested in the given one. Frames of sites the
+// policy denies are listed without their content.
+async function getFrameContents(tabId, parentFrameId, format, readable, maxLength) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  const isNested = (frame) => {
+    for (let current = frame; current && current.parentFrameId !== -1;
+      current = frames.find(f => f.frameId === current.parentFrameId)) {
+      if (current.parentFrameId === parentFrameId) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const policy = await loadSitePolicy();
+  const contents = [];
+  for (const frame of frames.filter(isNested)) {
+    const entry = { frameId: frame.frameId, parentFrameId: frame.parentFrameId, url: frame.url };
+    // about:blank and srcdoc frames belong to their parent's site
+    if (/^(https?|file):/.test(frame.url) && getSiteMode(policy, frame.url) === 'deny') {
+      contents.push({ ...entry, error: `Blocked by site policy: ${describeOrigin(frame.url)} (denied)` });
+      continue;
+    }
+    try {
+      const content = await executeInFrame(tabId, frame.frameId, extractPageContent,
+        [format, readable, null, 'css', 0, maxLength]);
+      contents.push({ ...entry, ...content });
+    } catch (error) {
+      contents.push({ ...entry, error: error.message });
+    }
+  }
+  return contents;
+}
+
+// Command: Accessibility-tree snapshot of interactive and landmark elements
+async function takeSnapshot(params) {
+  const { tabId, interactiveOnly = false } = params;
+  const targetTabId = await resolveTabId(tabId);
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId: targetTabId },
+    func: (onlyInteractive) => {
+      // Refs live in the extension's isolated world, so they reset on navigation
+      if (!window.__mcpBridgeRefs) {
+        window.__mcpBridgeRefs = { elements: new Map(), ids: new WeakMap(), next: 1 };
+      }
+      const refs = window.__mcpBridgeRefs;
+
+      const INTERACTIVE_ROLES = new Set([
+        'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox',
+        'listbox', 'option', 'slider', 'spinbutton', 'switch', 'tab', 'menuitem',
+        'menuitemcheckbox', 'menuitemradio', 'treeitem'
+      ]);
+      const LANDMARK_ROLES = new Set([
+        'banner', 'navigation', 'main', 'complementary', 'contentinfo', 'form',
+        'region', 'search', 'dialog', 'alertdialog', 'heading', 'list', 'table', 'tablist', 'menu', 'tree'
+      ]);
+      const INPUT_ROLES = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+        search: 'searchbox', email: 'textbox', tel: 'textbox', text: 'textbox',
+        url: 'textbox', password: 'textbox'
+      };
+
+      const getRole = (element) => {
+        const explicit = element.getAttribute('role');
+        if (explicit) {
+          return explicit.split(/\s+/)[0];
+        }
+
+        const tag = element.tagName.toLowerCase();
+        switch (tag) {
+          case 'a':
+            return element.hasAttribute('href') ? 'link' : null;
+          case 'button':
+          case 'summary':
+            return 'button';
+          case 'input':
+            if (element.type === 'hidden') {
+              return null;
+            }
+            if (element.list) {
+              return 'combobox';
+            }
+            return INPUT_ROLES[element.type] || 'textbox';
+          case 'textarea':
+            return 'textbox';
+          case 'select':
+            return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+          case 'option':
+            return 'option';
+          case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+            return 'heading';
+          case 'nav':
+            return 'navigation';
+          case 'main':
+            return 'main';
+          case 'aside':
+            return 'complementary';
+          case 'header':
+            return element.closest('article, aside, main, nav, section') ? null : 'banner';
+          case 'footer':
+            return element.closest('article, aside, main, nav, section') ? null : 'contentinfo';
+          case 'form':
+            return 'form';
+          case 'section':
+            return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby') ? 'region' : null;
+          case 'dialog':
+            return 'dialog';
+          case 'ul':
+          case 'ol':
+            return 'list';
+          case 'table':
+            return 'table';
+          default:
+            if (element.isContentEditable && element.parentElement && !element.parentElement.isContentEditable) {
+              return 'textbox';
+            }
+            if (element.hasAttribute('tabindex') && element.tabIndex >= 0) {
+              return 'generic';
+            }
+            return null;
+        }
+      };
+
+      const clean = (text, max = 80) => {
+        const value = (text || '').replace(/\s+/g, ' ').trim();
+        return value.length > max ? value.slice(0, max - 1) + '…' : value;
+      };
+
+      const getName = (element, role) => {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+          const text = labelledBy.split(/\s+/)
+            .map(id => document.getElementById(id)?.innerText || '')
+            .join(' ');
+          if (clean(text)) {
+            return clean(text);
+          }
+        }
+
+        const ariaLabel = element.getAttribute('aria-label');
+        if (clean(ariaLabel)) {
+          return clean(ariaLabel);
+        }
+
+        if (element.labels && element.labels.length > 0) {
+          return clean([...element.labels].map(label => label.innerText).join(' '));
+        }
+
+        if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+          return clean(element.value);
+        }
+
+        if (element.tagName === 'IMG' || (element.tagName === 'INPUT' && element.type === 'image')) {
+          return clean(element.alt);
+        }
+
+        const nameFromContent = ['button', 'link', 'heading', 'tab', 'menuitem', 'option',
+          'checkbox', 'radio', 'switch', 'treeitem', 'menuitemcheckbox', 'menuitemradio'];
+        if (nameFromContent.includes(role)) {
+          const text = clean(element.innerText);
+          if (text) {
+            return text;
+          }
+        }
+
+        return clean(element.getAttribute('title') || element.getAttribute('placeholder'));
+      };
+
+      const getValue = (element) => {
+        if (element.tagName === 'SELECT') {
+          return clean([...element.selectedOptions].map(option => option.text).join(', '));
+        }
+        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+          if (['checkbox', 'radio', 'button', 'submit', 'reset', 'image'].includes(element.type)) {
+            return null;
+          }
+          if (element.type === 'password') {
+            return element.value ? '••••' : '';
+          }
+          return clean(element.value, 200);
+        }
+        if (element.isContentEditable) {
+          return clean(element.innerText, 200);
+        }
+        return null;
+      };
+
+      const getStates = (element, role) => {
+        const states = [];
+        if (element.disabled || element.getAttribute('aria-disabled') === 'true') {
+          states.push('disabled');
+        }
+        const ariaChecked = element.getAttribute('aria-checked');
+        if (element.checked === true || ariaChecked === 'true') {
+          states.push('checked');
+        } else if (ariaChecked === 'mixed' || element.indeterminate) {
+          states.push('mixed');
+        }
+        const expanded = element.getAttribute('aria-expanded') ??
+          (element.tagName === 'SUMMARY' ? String(!!element.parentElement?.open) : null);
+        if (expanded === 'true') {
+          states.push('expanded');
+        } else if (expanded === 'false') {
+          states.push('collapsed');
+        }
+        if (element.selected === true || element.getAttribute('aria-selected') === 'true') {
+          states.push('selected');
+        }
+        if (element.required || element.getAttribute('aria-required') === 'true') {
+          states.push('required');
+        }
+        if (document.activeElement === element) {
+          states.push('focused');
+        }
+        if (role === 'heading') {
+          const level = element.getAttribute('aria-level') || element.tagName.match(/^H(\d)$/)?.[1];
+          if (level) {
+            states.push(`level=${level}`);
+          }
+        }
+        return states;
+      };
+
+      const isHidden = (element) => {
+        if (element.getAttribute('aria-hidden') === 'true' || element.hidden) {
+          return true;
+        }
+        const style = window.getComputedStyle(element);
+        return style.display === 'none';
+      };
+
+      const hasBox = (element) => {
+        const rect = element.getBoundingClientRect();
+        return (rect.width > 0 || rect.height > 0) &&
+          window.getComputedStyle(element).visibility !== 'hidden';
+      };
+
+      const getRef = (element) => {
+        let ref = refs.ids.get(element);
+        if (!ref || refs.elements.get(ref) !== element) {
+          ref = `e${refs.next++}`;
+          refs.ids.set(element, ref);
+          refs.elements.set(ref, element);
+        }
+        return ref;
+      };
+
+      const lines = [];
+      let nodeCount = 0;
+
+      const walk = (element, depth) => {
+        for (const child of element.children) {
+          if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(child.tagName) || isHidden(child)) {
+            continue;
+          }
+
+          const role = getRole(child);
+          // Zero-size wrappers can still contain visible descendants, so keep walking
+          const include = role && (INTERACTIVE_ROLES.has(role) || role === 'generic' ||
+            (!onlyInteractive && LANDMARK_ROLES.has(role))) && hasBox(child);
+
+          if (!include) {
+            walk(child, depth);
+            continue;
+          }
+
+          let line = `${'  '.repeat(depth)}- ${role}`;
+          const name = getName(child, role);
+          if (name) {
+            line += ` ${JSON.stringify(name)}`;
+          }
+          const value = getValue(child);
+          if (value !== null && value !== name) {
+            line += ` value=${JSON.stringify(value)}`;
+          }
+          const states = getStates(child, role);
+          if (states.length > 0) {
+            line += ` [${states.join(', ')}]`;
+          }
+          line += ` [ref=${getRef(child)}]`;
+
+          lines.push(line);
+          nodeCount++;
+
+          // Form controls have no interesting descendants apart from select options
+          if (!['INPUT', 'TEXTAREA'].includes(child.tagName)) {
+            walk(child, depth + 1);
+          }
+        }
+      };
+
+      walk(document.body, 0);
+
+      return {
+        url: window.location.href,
+        title: document.title,
+        nodeCount,
+        snapshot: lines.join('\n')
+      };
+    },
+    args: [interactiveOnly]
+  });
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      ...results[0].result
+    }
+  };
+}
+
+// Command: Get buffered console messages and uncaught errors for a tab
+async function getConsoleLogs(params) {
+  const { tabId, levels, limit = 100, clear = false } = params;
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error('limit must be a positive integer');
+  }
+  const targetTabId = await resolveTabId(tabId);
+
+  const buffer = consoleLogs.get(targetTabId) || { entries: [], dropped: 0 };
+  let entries = buffer.entries;
+
+  if (Array.isArray(levels) && levels.length > 0) {
+    entries = entries.filter(entry => levels.includes(entry.level));
+  }
+
+  const matched = entries.length;
+  entries = entries.slice(-limit);
+
+  const data = {
+    tabId: targetTabId,
+    entries,
+    matched,
+    returned: entries.length,
+    buffered: buffer.entries.length,
+    dropped: buffer.dropped
+  };
+
+  if (clear) {
+    consoleLogs.delete(targetTabId);
+  }
+
+  return {
+    success: true,
+    data
+  };
+}
+
+// Helper: Store a console entry reported by console-relay.js
+function recordConsoleEntry(sender, entry) {
+  if (!sender.tab || !entry) {
+    return;
+  }
+
+  let buffer = consoleLogs.get(sender.tab.id);
+  if (!buffer) {
+    buffer = { entries: [], dropped: 0 };
+    consoleLogs.set(sender.tab.id, buffer);
+  }
+
+  buffer.entries.push({
+    ...entry,
+    ...(sender.frameId ? { frameId: sender.frameId } : {})
+  });
+
+  // Keep the buffer bounded, dropping the oldest entries first
+  if (buffer.entries.length > MAX_CONSOLE_ENTRIES) {
+    buffer.dropped += buffer.entries.length - MAX_CONSOLE_ENTRIES;
+    buffer.entries.splice(0, buffer.entries.length - MAX_CONSOLE_ENTRIES);
+  }
+}
+
+// Command: Get the network requests made by a tab
+async function getNetworkLog(params) {
+  const {
+    tabId,
+    urlPattern,
+    status,
+    resourceTypes,
+    includeBodies = false,
+    includeSensitiveHeaders = false,
+    maxBodySize = 100000,
+    limit = 200,
+    clear = false
+  } = params;
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new Error('limit must be a positive integer');
+  }
+  const targetTabId = await resolveTabId(tabId);
+
+  const buffer = networkLogs.get(targetTabId) || { entries: [], dropped: 0 };
+  let entries = buffer.entries;
+
+  if (urlPattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(urlPattern);
+    } catch (error) {
+      throw new Error(`Invalid urlPattern: ${error.message}`);
+    }
+    entries = entries.filter(entry => pattern.test(entry.url));
+  }
+
+  if (status !== undefined && status !== null && status !== '') {
+    // Either an exact code (404) or a class such as "4xx"
+    const statusClass = String(status).match(/^([1-5])xx$/i);
+    entries = entries.filter(entry => statusClass
+      ? Math.floor(entry.status / 100) === Number(statusClass[1])
+      : entry.status === Number(status));
+  }
+
+  if (Array.isArray(resourceTypes) && resourceTypes.length > 0) {
+    entries = entries.filter(entry => resourceTypes.includes(entry.resourceType));
+  }
+
+  const matched = entries.length;
+  const selected = entries.slice(-limit);
+  entries = selected.map(entry => includeSensitiveHeaders ? { ...entry } : {
+    ...entry,
+    requestHeaders: redactSensitiveHeaders(entry.requestHeaders),
+    responseHeaders: redactSensitiveHeaders(entry.responseHeaders)
+  });
+
+  let bodyCaptureActive = bodyCaptureTabs.has(targetTabId);
+  let bodyCaptureNote = null;
+  if (includeBodies) {
+    if (!bodyCaptureActive) {
+      // Bodies can only be read for requests made after the Network domain is enabled
+      await ensureDebuggerAttached(targetTabId);
+      bodyCaptureTabs.add(targetTabId);
+      bodyCaptureActive = true;
+      bodyCaptureNote = 'Body capture started with this call, so no bodies are included yet. ' +
+        'Call again once the page has made new requests (for example after reloading it) to get their bodies.';
+    } else {
+      const matches = matchDebuggerRequests(targetTabId, buffer.entries);
+      await attachResponseBodies(targetTabId, entries, selected.map(entry => matches.get(entry)), maxBodySize);
+    }
+  }
+
+  const tab = await chrome.tabs.get(targetTabId);
+
+  const data = {
+    tabId: targetTabId,
+    url: tab.url,
+    title: tab.title,
+    entries,
+    matched,
+    returned: entries.length,
+    buffered: buffer.entries.length,
+    dropped: buffer.dropped,
+    inflight: countInflightRequests(targetTabId),
+    bodyCaptureActive,
+    ...(bodyCaptureNote ? { note: bodyCaptureNote } : {})
+  };
+
+  if (clear) {
+    networkLogs.delete(targetTabId);
+    debuggerRequests.delete(targetTabId);
+  }
+
+  return {
+    success: true,
+    data
+  };
+}
+
+// Helper: Pair a tab's logged requests with the debugger's requests. webRequest and the
+// debugger use different request ids, so requests are matched on method, URL and start time,
+// going through the whole log in order so repeated requests to a URL each get their own.
+function matchDebuggerRequests(tabId, entries) {
+  const unused = [...(debuggerRequests.get(tabId) || [])];
+  const matches = new Map();
+
+  for (const entry of entries) {
+    let best = -1;
+    for (let i = 0; i < unused.length; i++) {
+      const request = unused[i];
+      const gap = Math.abs(request.startTime - entry.startTime);
+      if (request.method === entry.method && request.url === entry.url && gap <= REQUEST_MATCH_WINDOW &&
+        (best === -1 || gap < Math.abs(unused[best].startTime - entry.startTime))) {
+        best = i;
+      }
+    }
+    if (best !== -1) {
+      matches.set(entry, unused[best]);
+      unused.splice(best, 1);
+    }
+  }
+  return matches;
+}
+
+// Helper: Add response bodies from the debugger's Network domain to log entries,
+// given the debugger request matched to each entry
+async function attachResponseBodies(tabId, entries, requests, maxBodySize) {
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const match = requests[i];
+    if (!match) {
+      entry.body = null;
+      continue;
+    }
+
+    if (match.encodedDataLength !== undefined && entry.size === null) {
+      entry.size = match.encodedDataLength;
+    }
+
+    try {
+      const response = await chrome.debugger.sendCommand({ tabId }, 'Network.getResponseBody', {
+        requestId: match.requestId
+      });
+      const truncated = response.body.length > maxBodySize;
+      entry.body = truncated ? response.body.slice(0, maxBodySize) : response.body;
+      entry.bodyBase64Encoded = response.base64Encoded;
+      entry.bodyTruncated = truncated;
+    } catch (error) {
+      entry.body = null;
+      entry.bodyError = error.message;
+    }
+  }
+}
+
+// Helper: Copy headers with the values of SENSITIVE_HEADERS replaced
+function redactSensitiveHeaders(headers) {
+  return headers.map(header => SENSITIVE_HEADERS.has(header.name.toLowerCase())
+    ? { ...header, value: '[REDACTED]' }
+    : header);
+}
+
+// Helper: Count requests still in flight for a tab
+function countInflightRequests(tabId) {
+  let count = 0;
+  for (const entry of inflightRequests.values()) {
+    if (entry.tabId === tabId) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// Helper: Look up a response header value (case-insensitive)
+function getHeaderValue(headers, name) {
+  const header = (headers || []).find(h => h.name.toLowerCase() === name);
+  return header ? header.value : null;
+}
+
+// Helper: Store a new request in its tab's bounded network buffer
+function recordNetworkRequest(details) {
+  let buffer = networkLogs.get(details.tabId);
+  if (!buffer) {
+    buffer = { entries: [], dropped: 0 };
+    networkLogs.set(details.tabId, buffer);
+  }
+
+  const entry = {
+    tabId: details.tabId,
+    frameId: details.frameId,
+    method: details.method,
+    url: details.url,
+    resourceType: details.type,
+    initiator: details.initiator || null,
+    status: null,
+    statusLine: null,
+    fromCache: false,
+    serverIp: null,
+    size: null,
+    mimeType: null,
+    requestHeaders: [],
+    responseHeaders: [],
+    redirectUrl: null,
+    error: null,
+    startTime: details.timeStamp,
+    responseTime: null,
+    endTime: null,
+    duration: null
+  };
+
+  buffer.entries.push(entry);
+  if (buffer.entries.length > MAX_NETWORK_ENTRIES) {
+    buffer.dropped += buffer.entries.length - MAX_NETWORK_ENTRIES;
+    buffer.entries.splice(0, buffer.entries.length - MAX_NETWORK_ENTRIES);
+  }
+
+  inflightRequests.set(details.requestId, entry);
+  notifyNetworkActivity(details.tabId);
+}
+
+// Helper: Mark an in-flight request as finished
+function finishNetworkRequest(details, changes) {
+  const entry = inflightRequests.get(details.requestId);
+  if (!entry) {
+    return;
+  }
+
+  Object.assign(entry, changes, {
+    endTime: details.timeStamp,
+    duration: Math.round(details.timeStamp - entry.startTime)
+  });
+  inflightRequests.delete(details.requestId);
+  notifyNetworkActivity(entry.tabId);
+}
+
+// Helper: Tell network idle waiters that a tab's requests changed
+function notifyNetworkActivity(tabId) {
+  for (const listener of networkActivityListeners) {
+    listener(tabId);
+  }
+}
+
+// Command: Evaluate caller-supplied JavaScript in the page's main world
+async function evaluateInPage(params) {
+  const {
+    tabId,
+    expression,
+    functionBody,
+    args = [],
+    frameUrl,
+    maxResultLength = 50000,
+    timeout = 30000
+  } = params;
+
+  if (!expression === !functionBody) {
+    throw new Error('Provide exactly one of expression or functionBody');
+  }
+
+  const targetTabId = await resolveTabId(tabId);
+
+  await ensureDebuggerAttached(targetTabId);
+
+  let contextId;
+  let frame = null;
+  if (frameUrl) {
+    frame = await findFrameByUrl(targetTabId, frameUrl);
+    contextId = executionContexts.get(targetTabId)?.get(frame.id);
+    if (!contextId) {
+      throw new Error(`No JavaScript context found for frame: ${frame.url}`);
+    }
+  }
+
+  // The caller's code is wrapped so results are serialized inside the page
+  const userCode = expression
+    ? `(async (args) => (\n${expression}\n))`
+    : `(async (args) => {\n${functionBody}\n})`;
+  const wrapper = `(async () => {
+    const serialize = ${serializeEvaluationResult.toString()};
+    try {
+      const value = await ${userCode}(${JSON.stringify(args)});
+      return serialize(value, ${Number(maxResultLength)});
+    } catch (error) {
+      return {
+        thrown: true,
+        name: error && error.name,
+        message: error && error.message !== undefined ? error.message : String(error),
+        stack: error && error.stack
+      };
+    }
+  })()`;
+
+  const evaluation = sendDebuggerCommand(targetTabId, 'Runtime.evaluate', {
+    expression: wrapper,
+    ...(contextId ? { contextId } : {}),
+    awaitPromise: true,
+    returnByValue: true,
+    userGesture: true
+  });
+
+  let timeoutId;
+  const timer = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`Evaluation timeout after ${timeout}ms`)), timeout);
+  });
+
+  let response;
+  try {
+    response = await Promise.race([evaluation, timer]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  // Syntax errors in the caller's code are reported before the wrapper runs
+  if (response.exceptionDetails) {
+    const details = response.exceptionDetails;
+    throw new Error(details.exception?.description || details.text || 'Evaluation failed');
+  }
+
+  const result = response.result.value;
+  if (result && result.thrown) {
+    throw new Error(result.stack || `${result.name || 'Error'}: ${result.message}`);
+  }
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      ...(frame ? { frameUrl: frame.url } : {}),
+      ...result
+    }
+  };
+}
+
+// Helper: Find a frame whose URL contains the given text
+async function findFrameByUrl(tabId, urlPart) {
+  const { frameTree } = await sendDebuggerCommand(tabId, 'Page.getFrameTree', {});
+
+  const frames = [];
+  const collect = (node) => {
+    frames.push(node.frame);
+    (node.childFrames || []).forEach(collect);
+  };
+  collect(frameTree);
+
+  const frame = frames.find(f => f.url.includes(urlPart));
+  if (!frame) {
+    throw new Error(`No frame found with URL containing: ${urlPart}`);
+  }
+  return frame;
+}
+
+// Helper: Serialize an evaluation result to plain JSON.
+// Runs inside the page (via toString), so it must stay self-contained.
+function serializeEvaluationResult(value, maxLength) {
+  const MAX_DEPTH = 6;
+  const MAX_ITEMS = 100;
+  const MAX_STRING = 10000;
+  const seen = new WeakSet();
+
+  const describeNode = (node) => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      const attributes = ['id', 'class', 'name', 'type', 'href', 'role', 'aria-label']
+        .filter(name => node.hasAttribute(name))
+        .map(name => ` ${name}="${String(node.getAttribute(name)).slice(0, 100)}"`)
+        .join('');
+      return {
+        node: `<${node.tagName.toLowerCase()}${attributes}>`,
+        text: (node.innerText || node.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 200)
+      };
+    }
+    if (node.nodeType === Node.DOCUMENT_NODE) {
+      return { node: '#document', url: node.URL, title: node.title };
+    }
+    return { node: node.nodeName, text: (node.textContent || '').slice(0, 200) };
+  };
+
+  const convert = (val, depth) => {
+    if (val === null || typeof val === 'boolean') {
+      return val;
+    }
+    if (typeof val === 'number') {
+      return Number.isFinite(val) ? val : String(val);
+    }
+    if (typeof val === 'string') {
+      return val.length > MAX_STRING ? val.slice(0, MAX_STRING) + '…' : val;
+    }
+    if (val === undefined) {
+      return '[undefined]';
+    }
+    if (typeof val === 'bigint') {
+      return `${val}n`;
+    }
+    if (typeof val === 'symbol') {
+      return val.toString();
+    }
+    if (typeof val === 'function') {
+      return `[Function ${val.name || 'anonymous'}]`;
+    }
+    if (typeof Node !== 'undefined' && val instanceof Node) {
+      return describeNode(val);
+    }
+    if (val instanceof Error) {
+      return { name: val.name, message: val.message, stack: val.stack };
+    }
+    if (val instanceof Date) {
+      return isNaN(val) ? 'Invalid Date' : val.toISOString();
+    }
+    if (val instanceof RegExp) {
+      return val.toString();
+    }
+    if (typeof Window !== 'undefined' && val instanceof Window) {
+      return '[Window]';
+    }
+    if (seen.has(val)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return Array.isArray(val) ? `[Array(${val.length})]` : '[Object]';
+    }
+
+    seen.add(val);
+    try {
+      if (val instanceof Map) {
+        return { '[Map]': convert([...val.entries()], depth + 1) };
+      }
+      if (val instanceof Set) {
+        return { '[Set]': convert([...val.values()], depth + 1) };
+      }
+      const isList = Array.isArray(val) || (typeof NodeList !== 'undefined' && val instanceof NodeList) ||
+        (typeof HTMLCollection !== 'undefined' && val instanceof HTMLCollection);
+      if (isList) {
+        const items = Array.from(val).slice(0, MAX_ITEMS).map(item => convert(item, depth + 1));
+        if (val.length > MAX_ITEMS) {
+          items.push(`[… ${val.length - MAX_ITEMS} more items]`);
+        }
+        return items;
+      }
+
+      const output = {};
+      const keys = Object.keys(val);
+      for (const key of keys.slice(0, MAX_ITEMS)) {
+        try {
+          output[key] = convert(val[key], depth + 1);
+        } catch (error) {
+          output[key] = `[Unreadable: ${error.message}]`;
+        }
+      }
+      if (keys.length > MAX_ITEMS) {
+        output['[…]'] = `${keys.length - MAX_ITEMS} more keys`;
+      }
+      return output;
+    } finally {
+      seen.delete(val);
+    }
+  };
+
+  const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  const converted = convert(value, 0);
+  const json = JSON.stringify(converted);
+
+  if (json !== undefined && json.length > maxLength) {
+    return { type, truncated: true, value: json.slice(0, maxLength) };
+  }
+  return { type, truncated: false, value: converted };
+}
+
+// Command: Wait for a selector, text, URL or network idle
+async function waitFor(params) {
+  const {
+    tabId,
+    selector,
+    selectorType = 'css',
+    state = 'visible',
+    text,
+    urlPattern,
+    networkIdle = false,
+    idleTime = 500,
+    timeout = 10000
+  } = params;
+
+  if (!selector && !text && !urlPattern && !networkIdle) {
+    throw new Error('At least one of selector, text, urlPattern or networkIdle is required');
+  }
+
+  let urlRegex = null;
+  if (urlPattern) {
+    try {
+      urlRegex = new RegExp(urlPattern);
+    } catch (error) {
+      throw new Error(`Invalid urlPattern: ${error.message}`);
+    }
+  }
+
+  const targetTabId = await resolveTabId(tabId);
+  const startTime = Date.now();
+  const deadline = startTime + timeout;
+
+  // All requested conditions have to hold; they are awaited side by side
+  const waits = [];
+  if (urlRegex) {
+    waits.push(waitForUrl(targetTabId, urlRegex, deadline));
+  }
+  if (selector || text) {
+    waits.push(waitForDomCondition(targetTabId, { selector, selectorType, state, text }, deadline));
+  }
+  if (networkIdle) {
+    waits.push(waitForNetworkIdle(targetTabId, idleTime, deadline));
+  }
+
+  await Promise.all(waits);
+
+  const tab = await chrome.tabs.get(targetTabId);
+
+  return {
+    success: true,
+    data: {
+      tabId: targetTabId,
+      waited: Date.now() - startTime,
+      url: tab.url,
+      conditions: {
+        ...(selector ? { selector, selectorType, state } : {}),
+        ...(text ? { text } : {}),
+        ...(urlPattern ? { urlPattern } : {}),
+        ...(networkIdle ? { networkIdle, idleTime } : {})
+      }
+    }
+  };
+}
+
+// Helper: Wait until the tab's URL matches a pattern
+function waitForUrl(tabId, urlRegex, deadline) {
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(listener);
+      error ? reject(error) : resolve();
+    };
+
+    const timeoutId = setTimeout(() => {
+      finish(new Error(`Timeout waiting for URL to match ${urlRegex}`));
+    }, Math.max(0, deadline - Date.now()));
+
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.url && urlRegex.test(changeInfo.url)) {
+        finish();
+      }
+    };
+
+    chrome.tabs.onUpdated.addListener(listener);
+
+    chrome.tabs.get(tabId, (tab) => {
+      if (tab && urlRegex.test(tab.url)) {
+        finish();
+      }
+    });
+  });
+}
+
+// Helper: Wait until the tab has had no requests in flight for idleTime
+function waitForNetworkIdle(tabId, idleTime, deadline) {
+  return new Promise((resolve, reject) => {
+    let idleTimer = null;
+
+    const finish = (error) => {
+      clearTimeout(timeoutId);
+      clearTimeout(idleTimer);
+      networkActivityListeners.delete(listener);
+      error ? reject(error) : resolve();
+    };
+
+    const timeoutId = setTimeout(() => {
+      finish(new Error(`Timeout waiting for network idle (${countInflightRequests(tabId)} requests still in flight)`));
+    }, Math.max(0, deadline - Date.now()));
+
+    const listener = (activeTabId) => {
+      if (activeTabId !== tabId) {
+        return;
+      }
+      clearTimeout(idleTimer);
+      idleTimer = null;
+      if (countInflightRequests(tabId) === 0) {
+        idleTimer = setTimeout(() => finish(), idleTime);
+      }
+    };
+
+    networkActivityListeners.add(listener);
+    listener(tabId);
+  });
+}
+
+// Helper: Wait in the page for an element state and/or text, re-injecting after navigations
+async function waitForDomCondition(tabId, condition, deadline) {
+  const { selector, selectorType, state, text } = condition;
+
+  while (true) {
+    const remaining = deadline - Date.now();
+    let results;
+
+    try {
+      results = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: (sel, selType, waitState, waitText, maxTimeout) => {
+          return new Promise((resolve) => {
+            const findElement = () => {
+              if (selType === 'xpath') {
+                const result = document.evaluate(
+                  sel,
+                  document,
+                  null,
+                  XPathResult.FIRST_ORDERED_NODE_TYPE,
+                  null
+                );
+                return result.singleNodeValue;
+              }
+              if (selType === 'ref') {
+                const element = window.__mcpBridgeRefs?.elements.get(sel);
+                return element && element.isConnected ? element : null;
+              }
+              return document.querySelector(sel);
+            };
+
+            const isVisible = (element) => {
+              const style = window.getComputedStyle(element);
+              if (style.display === 'none' || style.visibility === 'hidden') {
+                return false;
+              }
+              const rect = element.getBoundingClientRect();
+              return rect.width > 0 && rect.height > 0;
+            };
+
+            const check = () => {
+              let scope = document.body;
+
+              if (sel) {
+                const element = findElement();
+                switch (waitState) {
+                  case 'attached':
+                    if (!element) return false;
+                    break;
+                  case 'detached':
+                    return !element;
+                  case 'hidden':
+                    return !element || !isVisible(element);
+                  default:
+                    if (!element || !isVisible(element)) return false;
+                }
+                scope = element;
+              }
+
+              if (waitText) {
+                return !!scope && (scope.innerText || scope.textContent || '').includes(waitText);
+              }
+              return true;
+            };
+
+            if (check()) {
+              resolve({ met: true });
+              return;
+            }
+
+            const observer = new MutationObserver(() => {
+              if (check()) {
+                observer.disconnect();
+                clearTimeout(timeoutId);
+                resolve({ met: true });
+              }
+            });
+
+            observer.observe(document.documentElement, {
+              childList: true,
+              subtree: true,
+              attributes: true,
+              characterData: true
+            });
+
+            const timeoutId = setTimeout(() => {
+              observer.disconnect();
+              resolve({ met: false });
+            }, maxTimeout);
+          });
+        },
+        args: [selector || null, selectorType, state, text || null, Math.max(0, remaining)]
+      });
+    } catch (error) {
+      // The document went away mid-wait; try again once the new page has loaded
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status !== 'loading' || Date.now() >= deadline) {
+        throw error;
+      }
+      await waitForTabLoad(tabId, Math.max(1, deadline - Date.now()));
+      continue;
+    }
+
+    const result = results[0] && results[0].result;
+    if (result && result.met) {
+      return;
+    }
+
+    // No result means the page unloaded before the condition was met
+    if (!result && Date.now() < deadline) {
+      await waitForTabLoad(tabId, Math.max(1, deadline - Date.now()));
+      continue;
+    }
+
+    const target = selector
+      ? `selector '${selector}' to be ${state}${text ? ` with text '${text}'` : ''}`
+      : `text '${text}'`;
+    throw new Error(`Timeout waiting for ${target}`);
+  }
+}
+
+// Command: Navigate an existing tab to a URL
+async function navigate(params) {
+  const { tabId, url, timeout = 30000 } = params;
+
+  if (!url) {
+    throw new Error('URL is required');
+  }
+
+  // Validate URL
+  let finalUrl = url;
+  if (!url.startsWith('http://') && !url.startsWith('https://') && !url.startsWith('file://')) {
+    finalUrl = 'https://' + url;
+  }
+
+  const targetTabId = await resolveTabId(tabId);
+
+  return await navigateAndWait(targetTabId, timeout, () =>
+    chrome.tabs.update(targetTabId, { url: finalUrl })
+  );
+}
+
+// Command: Go back in tab history
+async function goBack(params) {
+  const { tabId, timeout = 30000 } = params;
+  const targetTabId = await resolveTabId(tabId);
+
+  return await navigateAndWait(targetTabId, timeout, () =>
+    chrome.tabs.goBack(targetTabId)
+  );
+}
+
+// Command: Go forward in tab history
+async function goForward(params) {
+  const { tabId, timeout = 30000 } = params;
+  const targetTabId = await resolveTabId(tabId);
+
+  return await navigateAndWait(targetTabId, timeout, () =>
+    chrome.tabs.goForward(targetTabId)
+  );
+}
+
+// Command: Reload a tab
+async function reloadPage(params) {
+  const { tabId, bypassCache = false, timeout = 30000 } = params;
+  const targetTabId = await resolveTabId(tabId);
+
+  return await navigateAndWait(targetTabId, timeout, () =>
+    chrome.tabs.reload(targetTabId, { bypassCache })
+  );
+}
+
+// Command: Start recording the user's interactions in a tab
+async function startRecording(params) {
+  const targetTabId = await resolveTabId(params.tabId);
+  const tab = await chrome.tabs.get(targetTabId);
+
+  const recording = await updateRecordings((recordings) => {
+    const existing = recordings[targetTabId];
+    if (existing && existing.active) {
+      throw new Error(`Tab ${targetTabId} is already being recorded`);
+    }
+    recordings[targetTabId] = {
+      tabId: targetTabId,
+      startUrl: tab.url,
+      startedAt: new Date().toISOString(),
+      active: true,
+      steps: []
+    };
+    return recordings[targetTabId];
   });
 
+  try {
+    await setRecorderState(targetTabId, true);
+  } catch (error) {
+    await updateRecordings((recordings) => {
+      delete recordings[targetTabId];
+    });
+    throw new Error(`Cannot record tab ${targetTabId}: ${error.message}`);
+  }
+
   return {
     success: true,
     data: {
       tabId: targetTabId,
-      ...results[0].result
+      url: recording.startUrl,
+      startedAt: recording.startedAt
     }
   };
 }
 
-// Command: Fill form fields
-async function fillFormFields(params) {
-  const {
-    tabId,
-    fields,
-    waitForElements = true,
-    timeout = 5000
-  } = params;
+// Command: Stop recording and return the session as bridge tool calls.
+// Without a tabId, the most recently started recording is used.
+async function stopRecording(params) {
+  const recording = await updateRecordings((recordings) => {
+    let tabId = params.tabId;
+    if (!tabId) {
+      const latest = Object.values(recordings).sort((a, b) => b.startedAt.localeCompare(a.startedAt))[0];
+      tabId = latest && latest.tabId;
+    }
+    const found = recordings[tabId];
+    if (!found) {
+      throw new Error(params.tabId ? `No recording for tab ${params.tabId}` : 'No recording in progress');
+    }
+    delete recordings[tabId];
+    return found;
+  });
 
-  if (!fields || !Array.isArray(fields) || fields.length === 0) {
-    throw new Error('Fields array is required and must not be empty');
+  if (recording.active) {
+    await setRecorderState(recording.tabId, false);
   }
 
-  let targetTabId = tabId;
+  const toolCalls = buildRecordedToolCalls(recording);
 
-  if (!targetTabId) {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!activeTab) {
-      throw new Error('No active tab found');
+  return {
+    success: true,
+    data: {
+      tabId: recording.tabId,
+      startedAt: recording.startedAt,
+      stoppedAt: recording.stoppedAt || new Date().toISOString(),
+      steps: toolCalls.length,
+      toolCalls
+    }
+  };
+}
+
+// Helper: Read-modify-write the recordings in session storage, one update at a time.
+// Session storage keeps them across service worker restarts during long recordings.
+function updateRecordings(update) {
+  const run = recordingsQueue.then(async () => {
+    const stored = await chrome.storage.session.get([RECORDINGS_STORAGE_KEY]);
+    const recordings = stored[RECORDINGS_STORAGE_KEY] || {};
+    const result = update(recordings);
+    await chrome.storage.session.set({ [RECORDINGS_STORAGE_KEY]: recordings });
+    return result;
+  });
+  recordingsQueue = run.catch(() => {});
+  return run;
+}
+
+// Helper: Tell the tab's recorder script to start or stop, injecting it into
+// tabs that were open before the extension loaded
+async function setRecorderState(tabId, recording) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'recorderState', recording }, { frameId: 0 });
+  } catch (error) {
+    if (recording) {
+      await chrome.scripting.executeScript({ target: { tabId }, files: ['recorder.js'] });
     }
-    targetTabId = activeTab.id;
   }
+}
 
-  const results = await chrome.scripting.executeScript({
-    target: { tabId: targetTabId },
-    func: (fieldsData, wait, maxTimeout) => {
-      return new Promise((resolve, reject) => {
-        const fieldResults = [];
+// Helper: Append a step to an active recording. Field values typed since the
+// last navigation are remembered so repeated change events don't add steps.
+function addRecordedStep(tabId, step) {
+  return updateRecordings((recordings) => {
+    const recording = recordings[tabId];
+    if (!recording || !recording.active) {
+      return;
+    }
 
-        const findElement = (selector, selectorType) => {
-          if (selectorType === 'xpath') {
-            const result = document.evaluate(
-              selector,
-              document,
-              null,
-              XPathResult.FIRST_ORDERED_NODE_TYPE,
-              null
-            );
-            return result.singleNodeValue;
-          } else {
-            return document.querySelector(selector);
-          }
-        };
+    const last = recording.steps[recording.steps.length - 1];
+    if (step.action === 'fill') {
+      const previous = [...recording.steps].reverse()
+        .find(s => s.action === 'navigate' || s.action === 'reload' || (s.action === 'fill' && s.selector === step.selector));
+      if (previous && previous.action === 'fill' && previous.value === step.value) {
+        return;
+      }
+    } else if (step.action === 'scroll' && last && last.action === 'scroll') {
+      recording.steps.pop();
+    }
+
+    recording.steps.push(step);
+  });
+}
 
-        const fillField = (fieldConfig) => {
-          const { selector, selectorType = 'css', value, clear = true } = fieldConfig;
-          const element = findElement(selector, selectorType);
+// Helper: Turn recorded steps into equivalent bridge tool calls.
+// Consecutive fills become one browser_fill_form call.
+function buildRecordedToolCalls(recording) {
+  const calls = [{ tool: 'browser_open_page', arguments: { url: recording.startUrl } }];
+  const target = (step) => ({ selector: step.selector, selectorType: step.selectorType });
 
-          if (!element) {
-            return {
-              selector,
-              success: false,
-              error: 'Element not found'
-            };
-          }
+  for (const step of recording.steps) {
+    const previous = calls[calls.length - 1];
 
-          // Scroll element into view
-          element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    switch (step.action) {
+      case 'click':
+        calls.push({ tool: 'browser_click', arguments: target(step) });
+        break;
 
-          // Clear existing value if requested
-          if (clear) {
-            element.value = '';
+      case 'fill': {
+        const field = { ...target(step), value: step.value };
+        if (previous.tool === 'browser_fill_form') {
+          const fields = previous.arguments.fields;
+          const index = fields.findIndex(f => f.selector === step.selector);
+          if (index >= 0) {
+            fields[index] = field;
+          } else {
+            fields.push(field);
           }
+        } else {
+          calls.push({ tool: 'browser_fill_form', arguments: { fields: [field] } });
+        }
+        break;
+      }
 
-          // Set the value
-          element.value = value;
+      case 'type':
+        calls.push({ tool: 'browser_type', arguments: { ...target(step), text: step.text, clear: true } });
+        break;
 
-          // Trigger input events to notify listeners
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-          element.dispatchEvent(new Event('change', { bubbles: true }));
+      case 'press':
+        calls.push({
+          tool: 'browser_press_key',
+          arguments: step.selector ? { key: step.key, ...target(step) } : { key: step.key }
+        });
+        break;
 
-          return {
-            selector,
-            success: true,
-            value
-          };
-        };
+      case 'scroll':
+        calls.push({ tool: 'browser_scroll', arguments: { x: step.x, y: step.y } });
+        break;
 
-        const fillAllFields = () => {
-          let allFound = true;
+      case 'navigate':
+        calls.push({ tool: 'browser_navigate', arguments: { url: step.url } });
+        break;
 
-          for (const field of fieldsData) {
-            const result = fillField(field);
-            fieldResults.push(result);
+      case 'reload':
+        calls.push({ tool: 'browser_reload', arguments: {} });
+        break;
+    }
+  }
 
-            if (!result.success && wait) {
-              allFound = false;
-            }
-          }
+  return calls;
+}
 
-          return allFound;
-        };
+// Helper: Active tab of the most recently focused browser window. currentWindow is
+// ambiguous in a service worker, and approval prompts are popup windows.
+async function getActiveTab() {
+  const window = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+  if (!window) {
+    return null;
+  }
+  const [tab] = await chrome.tabs.query({ active: true, windowId: window.id });
+  return tab || null;
+}
 
-        if (wait) {
-          // Poll for all elements with timeout
-          const startTime = Date.now();
-          const pollInterval = setInterval(() => {
-            if (fillAllFields()) {
-              clearInterval(pollInterval);
-              resolve({
-                success: true,
-                fieldsFilled: fieldResults.filter(r => r.success).length,
-                totalFields: fieldsData.length,
-                results: fieldResults
-              });
-            } else if (Date.now() - startTime > maxTimeout) {
-              clearInterval(pollInterval);
-              resolve({
-                success: false,
-                error: 'Timeout waiting for some elements',
-                fieldsFilled: fieldResults.filter(r => r.success).length,
-                totalFields: fieldsData.length,
-                results: fieldResults
-              });
-            } else {
-              // Reset for next attempt
-              fieldResults.length = 0;
-            }
-          }, 100);
-        } else {
-          // Try to fill immediately
-          fillAllFields();
-          resolve({
-            success: fieldResults.every(r => r.success),
-            fieldsFilled: fieldResults.filter(r => r.success).length,
-            totalFields: fieldsData.length,
-            results: fieldResults
-          });
-        }
-      });
-    },
-    args: [fields, waitForElements, timeout]
-  });
+// Helper: Resolve the target tab, falling back to the active tab
+async function resolveTabId(tabId) {
+  if (tabId) {
+    return tabId;
+  }
 
-  return {
-    success: true,
-    data: {
-      tabId: targetTabId,
-      ...results[0].result
-    }
-  };
+  const activeTab = await getActiveTab();
+  if (!activeTab) {
+    throw new Error('No active tab found');
+  }
+  return activeTab.id;
 }
 
-// Command: Get page content
-async function getPageContent(params) {
-  const {
-    tabId,
-    format = 'html',
-    includeMetadata = true
-  } = params;
-
-  let targetTabId = tabId;
+// Helper: The frame a command acts in, from frameId, frameUrl or frameSelector.
+// Returns { frameId, url }, with frameId 0 and no url for the top-level page.
+async function resolveFrame(tabId, params) {
+  const { frameId, frameUrl, frameSelector } = params;
+  const given = [frameId, frameUrl, frameSelector].filter(value => value !== undefined && value !== null);
+  if (given.length > 1) {
+    throw new Error('Use only one of frameId, frameUrl or frameSelector');
+  }
 
-  if (!targetTabId) {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!activeTab) {
-      throw new Error('No active tab found');
+  if (frameUrl) {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+    const frame = frames.find(f => f.frameId !== 0 && f.url.includes(frameUrl));
+    if (!frame) {
+      throw new Error(`No frame found with URL containing: ${frameUrl}`);
     }
-    targetTabId = activeTab.id;
+    return { frameId: frame.frameId, url: frame.url };
   }
 
-  const results = await chrome.scripting.executeScript({
-    target: { tabId: targetTabId },
-    func: (contentFormat) => {
-      const getHtml = () => {
-        return document.documentElement.outerHTML;
-      };
+  let targetFrameId = frameId;
+  if (frameSelector) {
+    const result = await executeInFrame(tabId, 0, (selector) => {
+      const element = window.__mcpBridgeFindElement(selector, 'css');
+      if (!element) {
+        return { error: `Frame element not found: ${selector}` };
+      }
+      if (element.localName !== 'iframe' && element.localName !== 'frame') {
+        return { error: `Not an iframe: ${selector}` };
+      }
+      // Works for cross-origin frames too, which the page itself can't look into
+      const id = chrome.runtime.getFrameId(element);
+      return id === -1 ? { error: `Frame has not loaded yet: ${selector}` } : { frameId: id };
+    }, [frameSelector]);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    targetFrameId = result.frameId;
+  }
 
-      const getText = () => {
-        return document.body.innerText;
-      };
+  if (targetFrameId === undefined || targetFrameId === null || targetFrameId === 0) {
+    return { frameId: 0, url: null };
+  }
+  const frame = await chrome.webNavigation.getFrame({ tabId, frameId: targetFrameId }).catch(() => null);
+  if (!frame) {
+    throw new Error(`No frame found with ID: ${targetFrameId}`);
+  }
+  return { frameId: targetFrameId, url: frame.url };
+}
 
-      const getMetadata = () => {
-        return {
-          title: document.title,
-          url: window.location.href,
-          domain: window.location.hostname,
-          description: document.querySelector('meta[name="description"]')?.content || '',
-          keywords: document.querySelector('meta[name="keywords"]')?.content || '',
-          ogTitle: document.querySelector('meta[property="og:title"]')?.content || '',
-          ogDescription: document.querySelector('meta[property="og:description"]')?.content || '',
-          ogImage: document.querySelector('meta[property="og:image"]')?.content || '',
-          canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || '',
-          lang: document.documentElement.lang || '',
-          charset: document.characterSet || ''
-        };
-      };
+// Helper: Run a function in one frame of a tab, with the element finder installed
+async function executeInFrame(tabId, frameId, func, args = []) {
+  const target = { tabId, frameIds: [frameId] };
+  await chrome.scripting.executeScript({ target, func: installElementFinder });
+  const results = await chrome.scripting.executeScript({ target, func, args });
+  return results[0].result;
+}
 
-      switch (contentFormat) {
-        case 'html':
-          return {
-            html: getHtml(),
-            metadata: getMetadata()
-          };
-        case 'text':
-          return {
-            text: getText(),
-            metadata: getMetadata()
-          };
-        case 'both':
-          return {
-            html: getHtml(),
-            text: getText(),
-            metadata: getMetadata()
-          };
-        default:
-          return {
-            html: getHtml(),
-            metadata: getMetadata()
-          };
+// Helper: Define window.__mcpBridgeFindElement(selector, selectorType) in the frame.
+// In CSS selectors, ">>>" steps into the open shadow root of the elements matched
+// so far, as in "my-app >>> form >>> input[name=email]". XPath can't cross shadow roots.
+// Runs inside the page (via executeScript), so it must stay self-contained.
+function installElementFinder() {
+  const queryDeep = (root, parts) => {
+    const [first, ...rest] = parts;
+    if (rest.length === 0) {
+      return root.querySelector(first);
+    }
+    for (const host of root.querySelectorAll(first)) {
+      const found = host.shadowRoot ? queryDeep(host.shadowRoot, rest) : null;
+      if (found) {
+        return found;
       }
-    },
-    args: [format]
-  });
+    }
+    return null;
+  };
 
-  const content = results[0].result;
-  const tabInfo = await chrome.tabs.get(targetTabId);
+  window.__mcpBridgeFindElement = (selector, selectorType = 'css') => {
+    if (selectorType === 'xpath') {
+      return document.evaluate(selector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null)
+        .singleNodeValue;
+    }
+    if (selectorType === 'ref') {
+      // Refs are assigned by browser_snapshot and live until the next navigation
+      const element = window.__mcpBridgeRefs?.elements.get(selector);
+      return element && element.isConnected ? element : null;
+    }
+    return queryDeep(document, selector.split('>>>').map(part => part.trim()));
+  };
+}
+
+// Helper: Run a navigation and wait for the resulting page load
+async function navigateAndWait(tabId, timeout, startNavigation) {
+  const previousUrl = (await chrome.tabs.get(tabId)).url;
+  // Start listening before navigating so a fast load isn't missed
+  const loaded = waitForTabLoad(tabId, timeout, true);
+
+  try {
+    await startNavigation();
+  } catch (error) {
+    loaded.catch(() => {});
+    throw error;
+  }
+
+  const tab = await loaded;
+
+  // Back/forward and redirects aren't known in advance, so check where the tab ended up
+  if (getSiteMode(await loadSitePolicy(), tab.url) === 'deny') {
+    await chrome.tabs.update(tabId, { url: previousUrl }).catch(() => {});
+    throw new Error(`Blocked by site policy: the navigation ended on ${describeOrigin(tab.url)} (denied), ` +
+      `so the tab was sent back to ${describeOrigin(previousUrl)}`);
+  }
 
   return {
     success: true,
     data: {
-      tabId: targetTabId,
-      format: format,
-      ...content,
-      ...(includeMetadata ? {
-        tabInfo: {
-          url: tabInfo.url,
-          title: tabInfo.title,
-          status: tabInfo.status,
-          favIconUrl: tabInfo.favIconUrl
-        }
-      } : {})
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title,
+      httpStatus: await getHttpStatus(tab.id)
     }
   };
 }
 
+// Helper: Read the HTTP status of the tab's main document
+async function getHttpStatus(tabId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        const [entry] = performance.getEntriesByType('navigation');
+        return entry && entry.responseStatus ? entry.responseStatus : null;
+      }
+    });
+    return results[0].result;
+  } catch (error) {
+    // Pages such as chrome:// URLs don't allow script injection
+    return null;
+  }
+}
+
 // Helper: Wait for tab to finish loading
-function waitForTabLoad(tabId, timeout = 30000) {
+// When requireNavigation is set, the current page being complete is not enough:
+// a new load has to start and finish first, or the page has to move within itself.
+function waitForTabLoad(tabId, timeout = 30000, requireNavigation = false) {
   return new Promise((resolve, reject) => {
-    const timeoutId = setTimeout(() => {
+    let navigationStarted = !requireNavigation;
+
+    const stopListening = () => {
+      clearTimeout(timeoutId);
       chrome.tabs.onUpdated.removeListener(listener);
+      chrome.webNavigation.onHistoryStateUpdated.removeListener(sameDocumentListener);
+      chrome.webNavigation.onReferenceFragmentUpdated.removeListener(sameDocumentListener);
+    };
+
+    const timeoutId = setTimeout(() => {
+      stopListening();
       reject(new Error('Tab load timeout'));
     }, timeout);
 
     const listener = (updatedTabId, changeInfo, tab) => {
-      if (updatedTabId === tabId && changeInfo.status === 'complete') {
-        clearTimeout(timeoutId);
-        chrome.tabs.onUpdated.removeListener(listener);
+      if (updatedTabId !== tabId) {
+        return;
+      }
+
+      if (changeInfo.status === 'loading') {
+        navigationStarted = true;
+      } else if (changeInfo.status === 'complete' && navigationStarted) {
+        stopListening();
         resolve(tab);
       }
     };
 
+    // Back/forward between pushState or #hash entries stays on the same document,
+    // so there is no load to wait for
+    const sameDocumentListener = (details) => {
+      if (details.tabId !== tabId || details.frameId !== 0 || navigationStarted) {
+        return;
+      }
+      stopListening();
+      chrome.tabs.get(tabId).then(resolve, reject);
+    };
+
     chrome.tabs.onUpdated.addListener(listener);
 
+    if (requireNavigation) {
+      chrome.webNavigation.onHistoryStateUpdated.addListener(sameDocumentListener);
+      chrome.webNavigation.onReferenceFragmentUpdated.addListener(sameDocumentListener);
+      return;
+    }
+
     // Check if already loaded
     chrome.tabs.get(tabId, (tab) => {
       if (tab.status === 'complete') {
-        clearTimeout(timeoutId);
-        chrome.tabs.onUpdated.removeListener(listener);
+        stopListening();
         resolve(tab);
       }
     });
@@ -893,6 +5105,176 @@ function waitForTabLoad(tabId, timeout = 30000) {
 // Initialize connection on extension load
 connectWebSocket();
 
+// Forget debugger sessions closed by the user or by the tab going away
+chrome.debugger.onDetach.addListener((source) => {
+  debuggerTabs.delete(source.tabId);
+  bodyCaptureTabs.delete(source.tabId);
+  executionContexts.delete(source.tabId);
+});
+
+// Record network activity for browser_get_network_log
+const NETWORK_FILTER = { urls: ['<all_urls>'] };
+
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  if (details.tabId >= 0) {
+    recordNetworkRequest(details);
+  }
+}, NETWORK_FILTER);
+
+chrome.webRequest.onSendHeaders.addListener((details) => {
+  const entry = inflightRequests.get(details.requestId);
+  if (entry) {
+    entry.requestHeaders = details.requestHeaders || [];
+  }
+}, NETWORK_FILTER, ['requestHeaders']);
+
+chrome.webRequest.onResponseStarted.addListener((details) => {
+  const entry = inflightRequests.get(details.requestId);
+  if (entry) {
+    const contentLength = getHeaderValue(details.responseHeaders, 'content-length');
+    Object.assign(entry, {
+      status: details.statusCode,
+      statusLine: details.statusLine,
+      fromCache: details.fromCache,
+      serverIp: details.ip || null,
+      responseHeaders: details.responseHeaders || [],
+      mimeType: (getHeaderValue(details.responseHeaders, 'content-type') || '').split(';')[0] || null,
+      size: contentLength !== null ? Number(contentLength) : null,
+      responseTime: details.timeStamp
+    });
+  }
+}, NETWORK_FILTER, ['responseHeaders']);
+
+chrome.webRequest.onBeforeRedirect.addListener((details) => {
+  // The redirected request reuses the requestId, so close this entry first
+  finishNetworkRequest(details, {
+    status: details.statusCode,
+    statusLine: details.statusLine,
+    redirectUrl: details.redirectUrl,
+    serverIp: details.ip || null,
+    fromCache: details.fromCache,
+    responseHeaders: details.responseHeaders || []
+  });
+}, NETWORK_FILTER, ['responseHeaders']);
+
+chrome.webRequest.onCompleted.addListener((details) => {
+  finishNetworkRequest(details, {
+    status: details.statusCode,
+    fromCache: details.fromCache
+  });
+}, NETWORK_FILTER);
+
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+  finishNetworkRequest(details, { error: details.error });
+}, NETWORK_FILTER);
+
+// Track debugger events: requests (for response bodies) and frame contexts (for evaluate)
+chrome.debugger.onEvent.addListener((source, method, eventParams) => {
+  if (method === 'Runtime.executionContextCreated') {
+    const context = eventParams.context;
+    if (context.auxData && context.auxData.isDefault && context.auxData.frameId) {
+      if (!executionContexts.has(source.tabId)) {
+        executionContexts.set(source.tabId, new Map());
+      }
+      executionContexts.get(source.tabId).set(context.auxData.frameId, context.id);
+    }
+  } else if (method === 'Runtime.executionContextDestroyed') {
+    const contexts = executionContexts.get(source.tabId);
+    for (const [frameId, contextId] of contexts || []) {
+      if (contextId === eventParams.executionContextId) {
+        contexts.delete(frameId);
+      }
+    }
+  } else if (method === 'Runtime.executionContextsCleared') {
+    executionContexts.delete(source.tabId);
+  } else if (method === 'Network.requestWillBeSent') {
+    let requests = debuggerRequests.get(source.tabId);
+    if (!requests) {
+      requests = [];
+      debuggerRequests.set(source.tabId, requests);
+    }
+    requests.push({
+      requestId: eventParams.requestId,
+      url: eventParams.request.url,
+      method: eventParams.request.method,
+      startTime: eventParams.wallTime * 1000
+    });
+    if (requests.length > MAX_NETWORK_ENTRIES) {
+      requests.splice(0, requests.length - MAX_NETWORK_ENTRIES);
+    }
+  } else if (method === 'Network.loadingFinished') {
+    const request = (debuggerRequests.get(source.tabId) || [])
+      .find(r => r.requestId === eventParams.requestId);
+    if (request) {
+      request.encodedDataLength = eventParams.encodedDataLength;
+    }
+  }
+});
+
+// Record navigations the user makes in a recorded tab. Navigations caused by
+// recorded clicks and form submits, and redirects, replay by themselves.
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId !== 0) {
+    return;
+  }
+  const qualifiers = details.transitionQualifiers || [];
+  if (qualifiers.includes('client_redirect') || qualifiers.includes('server_redirect')) {
+    return;
+  }
+
+  if (details.transitionType === 'reload') {
+    addRecordedStep(details.tabId, { action: 'reload' });
+  } else if (qualifiers.includes('forward_back') || qualifiers.includes('from_address_bar') ||
+    ['typed', 'auto_bookmark', 'generated', 'keyword'].includes(details.transitionType)) {
+    addRecordedStep(details.tabId, { action: 'navigate', url: details.url });
+  }
+});
+
+// Tabs opened from an agent session's tab (links, window.open) join the session
+chrome.tabs.onCreated.addListener((tab) => {
+  if (!tab.openerTabId) {
+    return;
+  }
+  updateAgentSessions((sessions) => {
+    for (const session of Object.values(sessions)) {
+      if (session.tabIds.includes(tab.openerTabId) && !session.tabIds.includes(tab.id)) {
+        session.tabIds.push(tab.id);
+      }
+    }
+  }).catch(() => {});
+});
+
+// Drop per-tab buffers when a tab closes
+chrome.tabs.onRemoved.addListener((tabId) => {
+  updateAgentSessions((sessions) => {
+    for (const session of Object.values(sessions)) {
+      if (session.tabIds.includes(tabId)) {
+        session.tabIds = session.tabIds.filter(id => id !== tabId);
+        if (session.currentTabId === tabId) {
+          session.currentTabId = session.tabIds[session.tabIds.length - 1] ?? null;
+        }
+      }
+    }
+  }).catch(() => {});
+  consoleLogs.delete(tabId);
+  networkLogs.delete(tabId);
+  debuggerRequests.delete(tabId);
+  for (const [requestId, entry] of inflightRequests) {
+    if (entry.tabId === tabId) {
+      inflightRequests.delete(requestId);
+    }
+  }
+});
+
+// Closing an approval window counts as denying it
+chrome.windows.onRemoved.addListener((windowId) => {
+  for (const approval of pendingApprovals.values()) {
+    if (approval.windowId === windowId) {
+      approval.finish('denied');
+    }
+  }
+});
+
 // Listen for extension icon click
 chrome.action.onClicked.addListener(() => {
   if (ws && ws.readyState === WebSocket.OPEN) {
@@ -916,8 +5298,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
   } else if (message.type === 'setToken') {
     authToken = message.token;
-    // Save token to storage
-    chrome.storage.local.set({ [AUTH_TOKEN_STORAGE_KEY]: authToken }, () => {
+    // Save token and browser label to storage
+    chrome.storage.local.set({
+      [AUTH_TOKEN_STORAGE_KEY]: authToken,
+      [BROWSER_LABEL_STORAGE_KEY]: message.label || ''
+    }, () => {
       console.log('Auth token saved');
       // Reconnect with new token
       if (ws) {
@@ -929,7 +5314,123 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     return true; // Keep channel open for async response
   } else if (message.type === 'getToken') {
-    sendResponse({ token: authToken || '' });
+    getBrowserIdentity().then((identity) => {
+      chrome.storage.local.get([BROWSER_LABEL_STORAGE_KEY], (result) => {
+        sendResponse({
+          token: authToken || '',
+          browserId: identity.browserId,
+          label: result[BROWSER_LABEL_STORAGE_KEY] || '',
+          browserName: identity.browserName
+        });
+      });
+    });
+    return true;
+  } else if (message.type === 'getPolicy') {
+    loadSitePolicy().then((policy) => {
+      sendResponse({
+        defaultMode: policy.defaultMode,
+        rulesText: policy.rules.map(rule => `${rule.mode} ${rule.pattern}`).join('\n')
+      });
+    });
+    return true;
+  } else if (message.type === 'setPolicy') {
+    try {
+      const policy = parseSitePolicy(message.defaultMode, message.rulesText);
+      chrome.storage.local.set({ [SITE_POLICY_STORAGE_KEY]: policy }, () => {
+        console.log('Site policy saved');
+        sendResponse({ success: true });
+      });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true;
+  } else if (message.type === 'getApprovalSettings') {
+    loadApprovalSettings().then((settings) => {
+      sendResponse({
+        timeoutSeconds: settings.timeoutSeconds,
+        rulesText: settings.rules.map(rule => `${rule.action} ${rule.pattern}`).join('\n')
+      });
+    });
+    return true;
+  } else if (message.type === 'setApprovalSettings') {
+    try {
+      const settings = parseApprovalSettings(message.timeoutSeconds, message.rulesText);
+      chrome.storage.local.set({ [APPROVAL_STORAGE_KEY]: settings }, () => {
+        console.log('Approval settings saved');
+        sendResponse({ success: true });
+      });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+    return true;
+  } else if (message.type === 'getApproval') {
+    const approval = pendingApprovals.get(message.id);
+    sendResponse(approval ? {
+      command: approval.command,
+      url: approval.url,
+      reasons: approval.reasons,
+      elements: approval.elements,
+      params: approval.params,
+      expiresAt: approval.expiresAt
+    } : null);
+    return false;
+  } else if (message.type === 'resolveApproval') {
+    // Only the extension's own approval page may answer, not content scripts
+    const fromExtensionPage = sender.url && sender.url.startsWith(chrome.runtime.getURL('approval.html'));
+    const approval = fromExtensionPage ? pendingApprovals.get(message.id) : null;
+    if (approval) {
+      approval.finish(message.approved ? 'approved' : 'denied');
+    }
+    sendResponse({ success: !!approval });
+    return false;
+  } else if (message.type === 'recordStep') {
+    if (sender.tab && sender.frameId === 0) {
+      // Typed passwords are never stored
+      const step = message.step.sensitive ? { ...message.step, value: '[REDACTED]' } : message.step;
+      delete step.sensitive;
+      addRecordedStep(sender.tab.id, step);
+    }
+    return false;
+  } else if (message.type === 'recorderStatus') {
+    chrome.storage.session.get([RECORDINGS_STORAGE_KEY]).then((stored) => {
+      const recording = sender.tab && (stored[RECORDINGS_STORAGE_KEY] || {})[sender.tab.id];
+      sendResponse({ recording: !!(recording && recording.active) });
+    });
+    return true;
+  } else if (message.type === 'getRecordingState') {
+    chrome.storage.session.get([RECORDINGS_STORAGE_KEY]).then((stored) => {
+      const recording = (stored[RECORDINGS_STORAGE_KEY] || {})[message.tabId];
+      sendResponse({
+        active: !!(recording && recording.active),
+        steps: recording ? recording.steps.length : 0
+      });
+    });
+    return true;
+  } else if (message.type === 'toggleRecording') {
+    // The popup starts recordings and pauses them; browser_stop_recording collects them
+    updateRecordings((recordings) => {
+      const recording = recordings[message.tabId];
+      if (recording && recording.active) {
+        recording.active = false;
+        recording.stoppedAt = new Date().toISOString();
+        return false;
+      }
+      return null;
+    }).then(async (stopped) => {
+      if (stopped === false) {
+        await setRecorderState(message.tabId, false);
+        sendResponse({ success: true, active: false });
+      } else {
+        const result = await startRecording({ tabId: message.tabId });
+        sendResponse({ success: true, active: true, ...result.data });
+      }
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (message.type === 'consoleEntry') {
+    recordConsoleEntry(sender, message.entry);
+    return false;
   }
   return true; // Keep the message channel open for async response
 });
@@ -0,0 +1,105 @@
+// Console capture for Chrome MCP Bridge
+// Runs in the page's main world at document_start so errors thrown by the
+// page's first scripts are recorded. Registered only while an MCP server is connected. Entries are handed to console-relay.js,
+// which forwards them to the background service worker.
+(() => {
+  // Entries go out under a random event name for each page load, so the page can't
+  // forge them. The name is announced once, before any page script has run, and the
+  // built-ins used to dispatch are kept so later page overrides can't observe it.
+  const dispatch = EventTarget.prototype.dispatchEvent;
+  const apply = Reflect.apply;
+  const CustomEventConstructor = CustomEvent;
+  const EVENT_NAME = '__mcpBridgeConsoleEntry_' +
+    Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  apply(dispatch, document, [new CustomEventConstructor('__mcpBridgeConsoleChannel', { detail: EVENT_NAME })]);
+  const MAX_ARG_LENGTH = 2000;
+  const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+  const truncate = (text) => {
+    return text.length > MAX_ARG_LENGTH ? text.slice(0, MAX_ARG_LENGTH) + '…' : text;
+  };
+
+  const formatArg = (arg) => {
+    try {
+      if (arg instanceof Error) {
+        return truncate(arg.stack || `${arg.name}: ${arg.message}`);
+      }
+      if (arg instanceof Node) {
+        return truncate(arg.nodeType === Node.ELEMENT_NODE ? arg.outerHTML.slice(0, 200) : String(arg.nodeName));
+      }
+      if (typeof arg === 'object' && arg !== null) {
+        return truncate(JSON.stringify(arg));
+      }
+      return truncate(String(arg));
+    } catch (error) {
+      // Circular structures and exotic objects
+      return truncate(Object.prototype.toString.call(arg));
+    }
+  };
+
+  // Find the first stack frame outside this script
+  const getCallerLocation = (stack) => {
+    const frames = (stack || '').split('\n').slice(1);
+    const frame = frames.find(line => !line.includes('console-capture.js'));
+    const match = frame && frame.match(/\(?([^\s()]+):(\d+):(\d+)\)?\s*$/);
+    return match ? { url: match[1], lineNumber: Number(match[2]), columnNumber: Number(match[3]) } : null;
+  };
+
+  const emit = (entry) => {
+    try {
+      apply(dispatch, document, [new CustomEventConstructor(EVENT_NAME, {
+        detail: JSON.stringify({ timestamp: Date.now(), pageUrl: location.href, ...entry })
+      })]);
+    } catch (error) {
+      // Never let capture break the page
+    }
+  };
+
+  for (const level of LEVELS) {
+    const original = console[level];
+    if (typeof original !== 'function') {
+      continue;
+    }
+
+    console[level] = function (...args) {
+      const stack = new Error().stack;
+      emit({
+        type: 'console',
+        level,
+        message: args.map(formatArg).join(' '),
+        location: getCallerLocation(stack),
+        stackTrace: level === 'error' || level === 'warn'
+          ? stack.split('\n').slice(2).join('\n')
+          : null
+      });
+      return original.apply(this, args);
+    };
+  }
+
+  window.addEventListener('error', (event) => {
+    // Resource load failures bubble here without an ErrorEvent
+    if (!(event instanceof ErrorEvent)) {
+      return;
+    }
+    emit({
+      type: 'exception',
+      level: 'error',
+      message: event.message,
+      location: event.filename
+        ? { url: event.filename, lineNumber: event.lineno, columnNumber: event.colno }
+        : null,
+      stackTrace: event.error && event.error.stack ? event.error.stack : null
+    });
+  }, true);
+
+  window.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+    emit({
+      type: 'unhandledrejection',
+      level: 'error',
+      message: `Unhandled promise rejection: ${formatArg(reason)}`,
+      location: reason && reason.stack ? getCallerLocation(reason.stack) : null,
+      stackTrace: reason && reason.stack ? reason.stack : null
+    });
+  });
+})();
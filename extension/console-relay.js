@@ -0,0 +1,23 @@
+// Console relay for Chrome MCP Bridge
+// Runs in the extension's isolated world and forwards entries captured by
+// console-capture.js to the background service worker. It is declared in the
+// manifest, so it runs before the dynamically registered console-capture.js.
+
+// console-capture.js announces its random event name once, before the page's own
+// scripts run; announcements after that come from the page and are ignored.
+document.addEventListener('__mcpBridgeConsoleChannel', (announcement) => {
+  if (typeof announcement.detail !== 'string') {
+    return;
+  }
+
+  document.addEventListener(announcement.detail, (event) => {
+    try {
+      chrome.runtime.sendMessage({
+        type: 'consoleEntry',
+        entry: JSON.parse(event.detail)
+      });
+    } catch (error) {
+      // The extension was reloaded and this context is no longer connected
+    }
+  });
+}, { once: true });
@@ -3,14 +3,67 @@ document.addEventListener('DOMContentLoaded', () => {
   const statusDiv = document.getElementById('status');
   const statusText = document.getElementById('statusText');
   const tokenInput = document.getElementById('tokenInput');
+  const labelInput = document.getElementById('labelInput');
+  const browserIdText = document.getElementById('browserId');
   const saveTokenBtn = document.getElementById('saveTokenBtn');
   const reconnectBtn = document.getElementById('reconnectBtn');
+  const defaultModeSelect = document.getElementById('defaultModeSelect');
+  const policyRules = document.getElementById('policyRules');
+  const savePolicyBtn = document.getElementById('savePolicyBtn');
+  const approvalTimeoutInput = document.getElementById('approvalTimeoutInput');
+  const approvalRules = document.getElementById('approvalRules');
+  const saveApprovalBtn = document.getElementById('saveApprovalBtn');
+  const recordBtn = document.getElementById('recordBtn');
+  let activeTabId = null;
 
-  // Load saved token
+  // Load saved token and browser identity
   chrome.runtime.sendMessage({ type: 'getToken' }, (response) => {
     if (response && response.token) {
       tokenInput.value = response.token;
     }
+    if (response) {
+      labelInput.value = response.label || '';
+      labelInput.placeholder = response.browserName || 'e.g. Work profile';
+      browserIdText.textContent = response.browserId || '';
+    }
+  });
+
+  // Load site policy
+  chrome.runtime.sendMessage({ type: 'getPolicy' }, (response) => {
+    if (response) {
+      defaultModeSelect.value = response.defaultMode;
+      policyRules.value = response.rulesText;
+    }
+  });
+
+  // Load approval settings
+  chrome.runtime.sendMessage({ type: 'getApprovalSettings' }, (response) => {
+    if (response) {
+      approvalTimeoutInput.value = response.timeoutSeconds;
+      approvalRules.value = response.rulesText;
+    }
+  });
+
+  // Show whether the active tab is being recorded
+  function updateRecordButton() {
+    if (activeTabId === null) {
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'getRecordingState', tabId: activeTabId }, (response) => {
+      if (response && response.active) {
+        recordBtn.textContent = `⏹ Stop Recording (${response.steps} steps)`;
+      } else if (response && response.steps > 0) {
+        recordBtn.textContent = `⏺ Record Again (${response.steps} steps not collected yet)`;
+      } else {
+        recordBtn.textContent = '⏺ Record Interactions';
+      }
+    });
+  }
+
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    activeTabId = tab ? tab.id : null;
+    recordBtn.disabled = activeTabId === null;
+    updateRecordButton();
   });
 
   // Check connection status
@@ -48,7 +101,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     chrome.runtime.sendMessage({
       type: 'setToken',
-      token: token
+      token: token,
+      label: labelInput.value.trim()
     }, (response) => {
       if (response && response.success) {
         saveTokenBtn.textContent = 'Saved! Connecting...';
@@ -65,6 +119,60 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // Save policy button
+  savePolicyBtn.addEventListener('click', () => {
+    savePolicyBtn.disabled = true;
+
+    chrome.runtime.sendMessage({
+      type: 'setPolicy',
+      defaultMode: defaultModeSelect.value,
+      rulesText: policyRules.value
+    }, (response) => {
+      savePolicyBtn.disabled = false;
+      if (response && response.success) {
+        savePolicyBtn.textContent = 'Saved!';
+        setTimeout(() => {
+          savePolicyBtn.textContent = 'Save Policy';
+        }, 1500);
+      } else {
+        alert(`Failed to save policy: ${response ? response.error : 'no response'}`);
+      }
+    });
+  });
+
+  // Save approvals button
+  saveApprovalBtn.addEventListener('click', () => {
+    saveApprovalBtn.disabled = true;
+
+    chrome.runtime.sendMessage({
+      type: 'setApprovalSettings',
+      timeoutSeconds: approvalTimeoutInput.value,
+      rulesText: approvalRules.value
+    }, (response) => {
+      saveApprovalBtn.disabled = false;
+      if (response && response.success) {
+        saveApprovalBtn.textContent = 'Saved!';
+        setTimeout(() => {
+          saveApprovalBtn.textContent = 'Save Approvals';
+        }, 1500);
+      } else {
+        alert(`Failed to save approvals: ${response ? response.error : 'no response'}`);
+      }
+    });
+  });
+
+  // Record button: start or stop recording the active tab
+  recordBtn.addEventListener('click', () => {
+    recordBtn.disabled = true;
+    chrome.runtime.sendMessage({ type: 'toggleRecording', tabId: activeTabId }, (response) => {
+      recordBtn.disabled = false;
+      if (!response || !response.success) {
+        alert(`Failed to toggle recording: ${response ? response.error : 'no response'}`);
+      }
+      updateRecordButton();
+    });
+  });
+
   // Reconnect button
   reconnectBtn.addEventListener('click', () => {
     chrome.runtime.sendMessage({ type: 'reconnect' });
@@ -80,5 +188,8 @@ document.addEventListener('DOMContentLoaded', () => {
   updateStatus();
 
   // Update status every 2 seconds
-  setInterval(updateStatus, 2000);
+  setInterval(() => {
+    updateStatus();
+    updateRecordButton();
+  }, 2000);
 });
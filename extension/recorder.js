@@ -0,0 +1,215 @@
+// Interaction recorder for Chrome MCP Bridge
+// Runs in the extension's isolated world of top-level pages. While the tab is
+// being recorded it reports the user's clicks, form input, key presses and
+// scrolls to the background service worker, each with a robust selector.
+(() => {
+  if (window.__mcpBridgeRecorder) {
+    return;
+  }
+  window.__mcpBridgeRecorder = true;
+
+  const SCROLL_DEBOUNCE = 400;
+  const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+  const TEXT_INPUT_TYPES = ['', 'text', 'email', 'password', 'search', 'tel', 'url', 'number',
+    'date', 'datetime-local', 'month', 'time', 'week'];
+  const RECORDED_KEYS = ['Enter', 'Escape'];
+
+  let recording = false;
+  let scrollTimer = null;
+
+  const sendStep = (step) => {
+    try {
+      chrome.runtime.sendMessage({ type: 'recordStep', step });
+    } catch (error) {
+      // The extension was reloaded and this context is no longer connected
+    }
+  };
+
+  const isUnique = (selector) => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Generated ids (React's ":r1:", "ember123", long hex runs) change between page loads
+  const isStableId = (id) => id && !/^:|\d{3,}|[0-9a-f]{8,}/i.test(id);
+
+  const xpathLiteral = (text) => {
+    if (!text.includes("'")) {
+      return `'${text}'`;
+    }
+    if (!text.includes('"')) {
+      return `"${text}"`;
+    }
+    return `concat('${text.split("'").join(`', "'", '`)}')`;
+  };
+
+  // Pick the most robust selector for an element: test ids, id, name,
+  // aria-label, visible text of buttons and links, then a CSS path
+  const getSelector = (element) => {
+    const tag = element.tagName.toLowerCase();
+
+    for (const attribute of TEST_ID_ATTRIBUTES) {
+      const value = element.getAttribute(attribute);
+      const selector = value && `[${attribute}="${CSS.escape(value)}"]`;
+      if (selector && isUnique(selector)) {
+        return { selector, selectorType: 'css' };
+      }
+    }
+
+    if (isStableId(element.id) && isUnique(`#${CSS.escape(element.id)}`)) {
+      return { selector: `#${CSS.escape(element.id)}`, selectorType: 'css' };
+    }
+
+    for (const attribute of ['name', 'aria-label', 'placeholder']) {
+      const value = element.getAttribute(attribute);
+      const selector = value && `${tag}[${attribute}="${CSS.escape(value)}"]`;
+      if (selector && isUnique(selector)) {
+        return { selector, selectorType: 'css' };
+      }
+    }
+
+    if (['a', 'button'].includes(tag) || element.getAttribute('role') === 'button') {
+      const text = (element.innerText || '').trim().replace(/\s+/g, ' ');
+      if (text && text.length <= 60) {
+        const selector = `//${tag}[normalize-space()=${xpathLiteral(text)}]`;
+        const matches = document.evaluate(selector, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        if (matches.snapshotLength === 1) {
+          return { selector, selectorType: 'xpath' };
+        }
+      }
+    }
+
+    // CSS path up to the nearest ancestor with a stable id
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      if (current !== element && isStableId(current.id)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = [...parent.children].filter(child => child.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      current = parent;
+    }
+    return { selector: parts.join(' > '), selectorType: 'css' };
+  };
+
+  const isTextField = (element) => {
+    if (element.tagName === 'TEXTAREA' || element.isContentEditable) {
+      return true;
+    }
+    return element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes((element.getAttribute('type') || '').toLowerCase());
+  };
+
+  // Clicks on the interactive element rather than the span inside it
+  const getClickTarget = (target) => {
+    return target.closest('a, button, input, select, textarea, label, summary, [role="button"], [role="link"], ' +
+      '[role="tab"], [role="menuitem"], [role="checkbox"], [role="option"], [onclick]') || target;
+  };
+
+  document.addEventListener('click', (event) => {
+    if (!recording || !event.isTrusted || !(event.target instanceof Element)) {
+      return;
+    }
+    const element = getClickTarget(event.target);
+    // Focusing a text field is implied by the fill that follows
+    if (isTextField(element) || element.tagName === 'SELECT') {
+      return;
+    }
+    sendStep({ action: 'click', ...getSelector(element) });
+  }, true);
+
+  // Text fields and selects are recorded once their value is committed
+  document.addEventListener('change', (event) => {
+    const element = event.target;
+    if (!recording || !event.isTrusted || !(element instanceof Element)) {
+      return;
+    }
+    if (!isTextField(element) && element.tagName !== 'SELECT') {
+      return;
+    }
+    sendStep({
+      action: 'fill',
+      ...getSelector(element),
+      value: element.value,
+      sensitive: element.type === 'password'
+    });
+  }, true);
+
+  document.addEventListener('keydown', (event) => {
+    if (!recording || !event.isTrusted || !RECORDED_KEYS.includes(event.key)) {
+      return;
+    }
+    const element = event.target instanceof Element ? event.target : null;
+
+    // Enter in multi-line fields is part of the text, recorded with the field's value
+    const multiline = element && (element.tagName === 'TEXTAREA' || element.isContentEditable);
+    if (multiline && event.key === 'Enter') {
+      return;
+    }
+
+    // Enter submits before the field's change event fires, so record the value first
+    if (element && isTextField(element) && !multiline) {
+      sendStep({
+        action: 'fill',
+        ...getSelector(element),
+        value: element.value,
+        sensitive: element.type === 'password'
+      });
+    }
+
+    const step = { action: 'press', key: event.key };
+    if (element && element !== document.body) {
+      Object.assign(step, getSelector(element));
+    }
+    sendStep(step);
+  }, true);
+
+  // Rich text editors don't fire change events, and have no value to fill
+  document.addEventListener('focusout', (event) => {
+    const element = event.target;
+    if (!recording || !(element instanceof Element) || !element.isContentEditable) {
+      return;
+    }
+    // Only the editing host, not elements inside it
+    if (element.parentElement && element.parentElement.isContentEditable) {
+      return;
+    }
+    sendStep({ action: 'type', ...getSelector(element), text: element.innerText });
+  }, true);
+
+  window.addEventListener('scroll', () => {
+    if (!recording) {
+      return;
+    }
+    clearTimeout(scrollTimer);
+    scrollTimer = setTimeout(() => {
+      sendStep({ action: 'scroll', x: Math.round(window.scrollX), y: Math.round(window.scrollY) });
+    }, SCROLL_DEBOUNCE);
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'recorderState') {
+      recording = message.recording;
+    }
+  });
+
+  // Pick up a recording that was started before this page loaded
+  try {
+    chrome.runtime.sendMessage({ type: 'recorderStatus' }, (response) => {
+      recording = !!(response && response.recording);
+    });
+  } catch (error) {
+    // The extension was reloaded and this context is no longer connected
+  }
+})();
@@ -0,0 +1,201 @@
+// Audit log of tool calls (JSON Lines), and reading it back for replay
+
+import * as fs from "fs";
+import * as path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+
+export interface AuditEntry {
+  timestamp: string;
+  sessionId: string;
+  sequence: number;
+  tool: string;
+  arguments: Record<string, unknown>;
+  browserId?: string;
+  tabId?: number;
+  url?: string;
+  durationMs: number;
+  outcome: "success" | "error";
+  error?: string;
+  // Screenshot, HAR or other file the tool wrote
+  savedFile?: string;
+}
+
+export const REDACTED = "[REDACTED]";
+
+// Argument keys whose values are always secrets (whole names, so bypassCache stays readable)
+const SECRET_KEY_PATTERN = /^(password|passwd|passphrase|secret|(access|refresh)?[-_]?token|api[-_]?key|auth|authorization|cookies?|credentials?|private[-_]?key)$/i;
+// Selectors pointing at fields whose typed value is likely a secret
+const SECRET_SELECTOR_PATTERN = /pass|secret|token|otp|one-time-code|pin|cvv|cvc|card|ssn/i;
+// Arguments redacted on every call of these tools: stored data can hold secrets
+// whatever the key name says
+const SECRET_TOOL_ARGUMENTS: Record<string, string[]> = {
+  browser_set_cookie: ["value"],
+  browser_storage_set: ["items"],
+};
+// Typed text and code, redacted on every call with --audit-redact-input. Otherwise
+// only text for secret-looking fields is, so replay can reproduce ordinary typing.
+const INPUT_TOOL_ARGUMENTS: Record<string, string[]> = {
+  browser_type: ["text"],
+  browser_fill_form: ["fields.value"],
+  browser_evaluate: ["expression", "functionBody", "args"],
+};
+
+// Details gathered while a call runs: target tab/URL and saved files
+const callContext = new AsyncLocalStorage<Partial<AuditEntry>>();
+
+// Copy tool arguments with secrets replaced: secret-looking keys, the value/text typed
+// into password-like fields, the arguments in SECRET_TOOL_ARGUMENTS, and with
+// redactInput also those in INPUT_TOOL_ARGUMENTS
+export function redactArguments(
+  args: Record<string, unknown> | undefined,
+  tool?: string,
+  redactInput = false
+): Record<string, unknown> {
+  const redacted = redactValue(args || {}) as Record<string, unknown>;
+  const names = tool
+    ? [...(SECRET_TOOL_ARGUMENTS[tool] || []), ...((redactInput && INPUT_TOOL_ARGUMENTS[tool]) || [])]
+    : [];
+  for (const name of names) {
+    // "fields.value" is the value of each item in the fields array
+    const [key, itemKey] = name.split(".");
+    if (itemKey && Array.isArray(redacted[key])) {
+      redacted[key] = (redacted[key] as unknown[]).map((item) =>
+        item && typeof item === "object" && itemKey in item ? { ...item, [itemKey]: REDACTED } : item);
+    } else if (!itemKey && key in redacted) {
+      redacted[key] = REDACTED;
+    }
+  }
+  return redacted;
+}
+
+function redactValue(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  const object = value as Record<string, unknown>;
+  const secretTarget = typeof object.selector === "string" && SECRET_SELECTOR_PATTERN.test(object.selector);
+  const redacted: Record<string, unknown> = {};
+  for (const [key, item] of Object.entries(object)) {
+    if (SECRET_KEY_PATTERN.test(key) || (secretTarget && (key === "value" || key === "text"))) {
+      redacted[key] = REDACTED;
+    } else {
+      redacted[key] = redactValue(item);
+    }
+  }
+  return redacted;
+}
+
+// Whether redaction removed anything from these arguments
+export function hasRedactedValues(value: unknown): boolean {
+  if (value === REDACTED) {
+    return true;
+  }
+  if (value && typeof value === "object") {
+    return Object.values(value).some(hasRedactedValues);
+  }
+  return false;
+}
+
+// Record the tab and URL an extension response refers to
+export function noteAuditTarget(data: any) {
+  const entry = callContext.getStore();
+  if (!entry || !data || typeof data !== "object") {
+    return;
+  }
+  if (typeof data.tabId === "number") {
+    entry.tabId = data.tabId;
+  }
+  const url = data.url ?? data.tabInfo?.url ?? data.metadata?.url;
+  if (typeof url === "string") {
+    entry.url = url;
+  }
+}
+
+// Record a file written by the current tool call
+export function noteSavedFile(filePath: string) {
+  const entry = callContext.getStore();
+  if (entry) {
+    entry.savedFile = filePath;
+  }
+}
+
+// Run a call outside the log, collecting the tab/URL and files it reports (for replay)
+export async function collectAuditTarget<T>(call: () => Promise<T>): Promise<{ result: T; target: Partial<AuditEntry> }> {
+  const target: Partial<AuditEntry> = {};
+  const result = await callContext.run(target, call);
+  return { result, target };
+}
+
+export class AuditLog {
+  private sequence = 0;
+
+  constructor(readonly filePath: string, readonly sessionId: string, readonly redactInput = false) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Run a tool call and append its entry. isError results count as errors.
+  async record<T extends { isError?: boolean; content?: any[] }>(
+    tool: string,
+    args: Record<string, unknown> | undefined,
+    call: () => Promise<T>
+  ): Promise<T> {
+    const entry: Partial<AuditEntry> = {};
+    const sequence = ++this.sequence;
+    const started = Date.now();
+    const result = await callContext.run(entry, call);
+
+    const errorText = result.isError ? result.content?.find((item) => item.type === "text")?.text : undefined;
+
+    this.append({
+      timestamp: new Date(started).toISOString(),
+      sessionId: this.sessionId,
+      sequence,
+      tool,
+      arguments: redactArguments(args, tool, this.redactInput),
+      browserId: typeof args?.browserId === "string" ? args.browserId : undefined,
+      tabId: entry.tabId ?? (typeof args?.tabId === "number" ? args.tabId : undefined),
+      url: entry.url,
+      durationMs: Date.now() - started,
+      outcome: result.isError ? "error" : "success",
+      error: errorText,
+      savedFile: entry.savedFile,
+    });
+
+    return result;
+  }
+
+  private append(entry: AuditEntry) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n");
+    } catch (error: any) {
+      // Losing an entry must not fail the tool call
+      console.error(`Failed to write audit log ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+// Read an audit log in call order, optionally keeping only one session.
+// Entries are written when calls finish, so concurrent calls can be out of order.
+// Recorded scripts only have sequence, tool and arguments.
+export function readAuditLog(filePath: string, sessionId?: string): AuditEntry[] {
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  const entries: AuditEntry[] = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      throw new Error(`${filePath}:${index + 1}: invalid JSON`);
+    }
+  });
+
+  return (sessionId ? entries.filter((entry) => entry.sessionId === sessionId) : entries)
+    .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || "") || a.sequence - b.sequence);
+}
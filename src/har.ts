@@ -0,0 +1,137 @@
+// HAR 1.2 export for network logs captured by the extension
+
+interface Header {
+  name: string;
+  value?: string;
+}
+
+// Shape of a browser_get_network_log entry (see getNetworkLog in extension/background.js)
+export interface NetworkLogEntry {
+  method: string;
+  url: string;
+  resourceType: string;
+  status: number | null;
+  statusLine: string | null;
+  fromCache: boolean;
+  serverIp: string | null;
+  size: number | null;
+  mimeType: string | null;
+  requestHeaders: Header[];
+  responseHeaders: Header[];
+  redirectUrl: string | null;
+  error: string | null;
+  startTime: number;
+  responseTime: number | null;
+  endTime: number | null;
+  duration: number | null;
+  body?: string | null;
+  bodyBase64Encoded?: boolean;
+}
+
+export interface NetworkLog {
+  url: string;
+  title: string;
+  entries: NetworkLogEntry[];
+}
+
+const STATUS_TEXT_PATTERN = /^(HTTP\/[\d.]+|h2|h3)\s+\d+\s*(.*)$/i;
+
+function toHarHeaders(headers: Header[]) {
+  return headers.map((header) => ({ name: header.name, value: header.value ?? "" }));
+}
+
+function parseStatusLine(statusLine: string | null) {
+  const match = statusLine ? statusLine.match(STATUS_TEXT_PATTERN) : null;
+  return {
+    httpVersion: match ? match[1] : "HTTP/1.1",
+    statusText: match ? match[2] : "",
+  };
+}
+
+function toHarEntry(entry: NetworkLogEntry, pageref: string) {
+  let queryString: { name: string; value: string }[] = [];
+  try {
+    queryString = [...new URL(entry.url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    // Non-standard URLs (data:, blob:) have no query string
+  }
+
+  const { httpVersion, statusText } = parseStatusLine(entry.statusLine);
+  const wait = entry.responseTime !== null ? Math.max(0, entry.responseTime - entry.startTime) : -1;
+  const receive = entry.endTime !== null && entry.responseTime !== null
+    ? Math.max(0, entry.endTime - entry.responseTime)
+    : -1;
+
+  const content: Record<string, unknown> = {
+    size: entry.size ?? -1,
+    mimeType: entry.mimeType || "",
+  };
+  if (typeof entry.body === "string") {
+    content.text = entry.body;
+    if (entry.bodyBase64Encoded) {
+      content.encoding = "base64";
+    }
+  }
+
+  return {
+    pageref,
+    startedDateTime: new Date(entry.startTime).toISOString(),
+    time: entry.duration ?? -1,
+    request: {
+      method: entry.method,
+      url: entry.url,
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(entry.requestHeaders),
+      queryString,
+      headersSize: -1,
+      bodySize: -1,
+    },
+    response: {
+      status: entry.status ?? 0,
+      statusText,
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(entry.responseHeaders),
+      content,
+      redirectURL: entry.redirectUrl || "",
+      headersSize: -1,
+      bodySize: entry.size ?? -1,
+      ...(entry.error ? { _error: entry.error } : {}),
+    },
+    cache: {},
+    timings: {
+      send: 0,
+      wait,
+      receive,
+    },
+    ...(entry.serverIp ? { serverIPAddress: entry.serverIp } : {}),
+    _resourceType: entry.resourceType,
+    _fromCache: entry.fromCache,
+  };
+}
+
+// Build a HAR document from a tab's network log
+export function buildHar(log: NetworkLog, creatorVersion: string) {
+  const pageId = "page_1";
+  const firstStart = log.entries.length > 0 ? log.entries[0].startTime : Date.now();
+
+  return {
+    log: {
+      version: "1.2",
+      creator: {
+        name: "chrome-mcp-bridge",
+        version: creatorVersion,
+      },
+      pages: [
+        {
+          startedDateTime: new Date(firstStart).toISOString(),
+          id: pageId,
+          title: log.title || log.url,
+          pageTimings: {},
+        },
+      ],
+      entries: log.entries.map((entry) => toHarEntry(entry, pageId)),
+    },
+  };
+}
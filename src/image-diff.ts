@@ -0,0 +1,104 @@
+// Pixel comparison of screenshots against baselines, for browser_compare_screenshot
+
+import { RgbaImage } from "./png.js";
+
+export interface Region {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface ImageComparison {
+  width: number;
+  height: number;
+  // Pixels compared, not counting ignored regions
+  comparedPixels: number;
+  mismatchedPixels: number;
+  mismatchPercentage: number;
+  sizeMismatch: boolean;
+  // Unchanged pixels faded, changed ones red, ignored regions blue
+  diff: RgbaImage;
+}
+
+// Largest possible YIQ color difference, see colorDelta
+const MAX_DELTA = 35215;
+
+// Blend a pixel onto white so transparency changes show up as color changes
+function blended(data: Buffer, offset: number): [number, number, number] {
+  const alpha = data[offset + 3] / 255;
+  return [0, 1, 2].map((channel) => 255 + (data[offset + channel] - 255) * alpha) as [number, number, number];
+}
+
+// Perceived difference between two colors, weighting brightness above hue
+// (Kotsarenko & Ramos, "Measuring perceived color difference using YIQ NTSC transmission color space")
+function colorDelta(a: [number, number, number], b: [number, number, number]): number {
+  const [r, g, bl] = [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  const y = r * 0.29889531 + g * 0.58662247 + bl * 0.11448223;
+  const i = r * 0.59597799 - g * 0.2741761 - bl * 0.32180189;
+  const q = r * 0.21147017 - g * 0.52261711 + bl * 0.31114694;
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+// Compare two images pixel by pixel. colorThreshold (0-1) is how different a pixel's
+// color may be before it counts as changed. Where the sizes differ, the pixels
+// only one image has count as changed.
+export function compareImages(
+  baseline: RgbaImage,
+  current: RgbaImage,
+  colorThreshold: number,
+  ignoreRegions: Region[]
+): ImageComparison {
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const maxDelta = MAX_DELTA * colorThreshold * colorThreshold;
+  const diff = Buffer.alloc(width * height * 4);
+
+  const isIgnored = (x: number, y: number) =>
+    ignoreRegions.some((region) =>
+      x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height);
+
+  let comparedPixels = 0;
+  let mismatchedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const inBaseline = x < baseline.width && y < baseline.height;
+      const inCurrent = x < current.width && y < current.height;
+      const baselineColor = inBaseline ? blended(baseline.data, (y * baseline.width + x) * 4) : null;
+
+      if (isIgnored(x, y)) {
+        diff.set([160, 190, 255, 255], out);
+        continue;
+      }
+      comparedPixels++;
+
+      const currentOffset = (y * current.width + x) * 4;
+      const identical = inBaseline && inCurrent &&
+        baseline.data.readUInt32LE((y * baseline.width + x) * 4) === current.data.readUInt32LE(currentOffset);
+      const changed = !identical && (!baselineColor || !inCurrent ||
+        colorDelta(baselineColor, blended(current.data, currentOffset)) > maxDelta);
+
+      if (changed || !baselineColor) {
+        mismatchedPixels++;
+        diff.set([255, 0, 0, 255], out);
+      } else {
+        // Faded grayscale of the baseline, for context
+        const [r, g, b] = baselineColor;
+        const gray = 255 - (255 - (r * 0.299 + g * 0.587 + b * 0.114)) * 0.1;
+        diff.set([gray, gray, gray, 255], out);
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    comparedPixels,
+    mismatchedPixels,
+    mismatchPercentage: comparedPixels > 0 ? (mismatchedPixels / comparedPixels) * 100 : 0,
+    sizeMismatch: baseline.width !== current.width || baseline.height !== current.height,
+    diff: { width, height, data: diff },
+  };
+}
@@ -10,19 +10,108 @@ import {
 import { WebSocketServer, WebSocket } from "ws";
 import * as fs from "fs";
 import * as path from "path";
+import * as os from "os";
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { IncomingMessage } from "http";
+import { buildHar } from "./har.js";
+import { compareImages, Region } from "./image-diff.js";
+import { decodePng, encodePng } from "./png.js";
+import { AuditLog, collectAuditTarget, hasRedactedValues, noteAuditTarget, noteSavedFile, readAuditLog } from "./audit.js";
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const tokenArg = args.find(arg => arg.startsWith('--token='));
 const AUTH_TOKEN = tokenArg ? tokenArg.split('=')[1] : null;
+// browser_evaluate runs arbitrary page JavaScript, so it has to be opted into
+const EVALUATE_ENABLED = args.includes('--enable-evaluate');
+
+// Browser used when a tool call doesn't name one (id or label)
+const defaultBrowserArg = args.find(arg => arg.startsWith('--default-browser='));
+const DEFAULT_BROWSER = defaultBrowserArg ? defaultBrowserArg.split('=')[1] : null;
+
+// Extension IDs allowed to connect (chrome-extension://<id> origins)
+const extensionIdArg = args.find(arg => arg.startsWith('--extension-id='));
+const ALLOWED_EXTENSION_IDS = extensionIdArg
+  ? extensionIdArg.split('=')[1].split(',').map(id => id.trim()).filter(Boolean)
+  : [];
+
+// Without --extension-id, the first extension to authenticate is the only one let in afterwards
+let pinnedExtensionId: string | null = null;
+
+// Audit log of tool calls: a .jsonl file, or a directory that gets one file per session
+const auditLogArg = args.find(arg => arg.startsWith('--audit-log='));
+const AUDIT_LOG_PATH = auditLogArg
+  ? auditLogArg.split('=')[1]
+  : path.join(os.homedir(), ".chrome-mcp-bridge", "audit");
+const AUDIT_ENABLED = !args.includes('--no-audit-log');
+// Redact all typed text, form values and evaluated code, not just secret-looking fields
+const AUDIT_REDACT_INPUT = args.includes('--audit-redact-input');
+
+// Replay mode: re-run the tool calls recorded in an audit log, then exit
+const replayArg = args.find(arg => arg.startsWith('--replay='));
+const REPLAY_FILE = replayArg ? replayArg.split('=')[1] : null;
+const replaySessionArg = args.find(arg => arg.startsWith('--replay-session='));
+const REPLAY_SESSION = replaySessionArg ? replaySessionArg.split('=')[1] : undefined;
+const replayDelayArg = args.find(arg => arg.startsWith('--replay-delay='));
+const REPLAY_DELAY = replayDelayArg ? Number(replayDelayArg.split('=')[1]) : 500;
+
+// Agent session: tools without a tabId act on this server's own tabs, kept in a
+// dedicated window ("window"), a tab group in the user's window ("group"), or
+// the user's active tab as before ("off")
+const sessionArg = args.find(arg => arg.startsWith('--session='));
+const SESSION_MODE = sessionArg ? sessionArg.split('=')[1] : "window";
+// Leave the session's tabs open when the server exits
+const KEEP_SESSION_TABS = args.includes('--keep-session-tabs');
+// Identifies this server process to the extension and in the audit log
+const SESSION_ID = `${new Date().toISOString().replace(/[:.]/g, "-")}-${process.pid}`;
 
 // WebSocket server for extension communication
 const WS_PORT = 8765;
-let extensionSocket: WebSocket | null = null;
-let pendingRequests = new Map<string, { resolve: Function; reject: Function }>();
 
-// Start WebSocket server
-const wss = new WebSocketServer({ port: WS_PORT });
+// Authentication hardening
+const AUTH_TIMEOUT = 10000;
+const AUTH_FAILURES_BEFORE_BACKOFF = 3;
+const AUTH_BACKOFF_BASE = 1000;
+const AUTH_BACKOFF_MAX = 60000;
+const authFailures = new Map<string, { count: number; lockedUntil: number }>();
+
+// Longest a request may be extended to, e.g. while waiting on an approval prompt
+const MAX_EXTENDED_TIMEOUT = 15 * 60 * 1000;
+
+// An authenticated extension instance (one per browser/profile)
+interface ExtensionConnection {
+  browserId: string;
+  label: string;
+  browserName: string;
+  socket: WebSocket;
+  connectedAt: number;
+}
+
+const extensionConnections = new Map<string, ExtensionConnection>();
+let pendingRequests = new Map<string, {
+  resolve: Function;
+  reject: Function;
+  extend: (timeout: number) => void;
+  socket: WebSocket;
+}>();
+
+// Broker mode: the first server process owns the WebSocket port and the
+// extension connections. Later processes attach to it as clients ("peers") and
+// their commands are forwarded through the owner. When the owner exits, the
+// peers race to take over the port.
+let wss: WebSocketServer | null = null;
+let brokerClient: WebSocket | null = null;
+let shuttingDown = false;
+const BROKER_RETRY_DELAY = 1000;
+
+// Browsers this server has sent commands to, by browserId ("" for the default),
+// so the agent session can be ended in each of them
+const sessionBrowsers = new Set<string>();
+
+if (!["window", "group", "off"].includes(SESSION_MODE)) {
+  console.error(`❌ ERROR: Unknown --session=${SESSION_MODE} (use window, group or off)`);
+  process.exit(1);
+}
 
 // Check for authentication token
 if (!AUTH_TOKEN) {
@@ -32,43 +121,214 @@ if (!AUTH_TOKEN) {
   process.exit(1);
 }
 
-wss.on("listening", () => {
-  console.error(`WebSocket server listening on port ${WS_PORT}`);
-  console.error(`🔐 Authentication enabled - token required`);
-});
+// Start WebSocket server, falling back to broker client mode if the port is taken
+function startWebSocketServer() {
+  if (shuttingDown) {
+    return;
+  }
 
-wss.on("error", (error) => {
-  console.error("WebSocket server error:", error.message);
-});
+  const server = new WebSocketServer({ port: WS_PORT, verifyClient });
+
+  server.on("listening", () => {
+    wss = server;
+    console.error(`WebSocket server listening on port ${WS_PORT}`);
+    console.error(`🔐 Authentication enabled - token required`);
+    if (ALLOWED_EXTENSION_IDS.length === 0) {
+      console.error(`⚠️  No --extension-id given: the first extension to authenticate will be pinned for this session`);
+    }
+  });
+
+  server.on("error", (error: NodeJS.ErrnoException) => {
+    if (error.code === "EADDRINUSE" && wss !== server) {
+      console.error(`Port ${WS_PORT} is in use, attaching to the running bridge as a broker client...`);
+      connectToBroker();
+      return;
+    }
+    console.error("WebSocket server error:", error.message);
+  });
+
+  server.on("connection", handleConnection);
+}
+
+// Helper: key auth backoff by client. Every local client shares the loopback address,
+// so local ones are told apart by origin, letting a rogue local process only lock itself out.
+function getAuthFailureKey(req: IncomingMessage): string {
+  const remoteAddress = req.socket.remoteAddress || "unknown";
+  if (remoteAddress === "127.0.0.1" || remoteAddress === "::1" || remoteAddress === "::ffff:127.0.0.1") {
+    return `local ${req.headers.origin || "broker"}`;
+  }
+  return remoteAddress;
+}
+
+// Helper: the extension ID from a chrome-extension:// origin, or null
+function getExtensionId(origin: string | undefined): string | null {
+  const match = origin ? origin.match(/^chrome-extension:\/\/([a-p]{32})$/) : null;
+  return match ? match[1] : null;
+}
 
-wss.on("connection", (ws: WebSocket) => {
+// Reject handshakes from web pages, unknown extensions, and clients in auth backoff
+function verifyClient(
+  info: { origin: string; req: IncomingMessage },
+  callback: (result: boolean, code?: number, message?: string) => void
+) {
+  const failureKey = getAuthFailureKey(info.req);
+  const failures = authFailures.get(failureKey);
+  if (failures && failures.lockedUntil > Date.now()) {
+    console.error(`Rejecting connection from ${failureKey}: too many failed authentication attempts`);
+    callback(false, 429, "Too Many Requests");
+    return;
+  }
+
+  // Broker clients are Node processes and send no Origin header
+  const origin = info.origin;
+  if (!origin) {
+    callback(true);
+    return;
+  }
+
+  const extensionId = getExtensionId(origin);
+  const allowed = extensionId !== null && (ALLOWED_EXTENSION_IDS.length > 0
+    ? ALLOWED_EXTENSION_IDS.includes(extensionId)
+    : pinnedExtensionId === null || pinnedExtensionId === extensionId);
+  if (!allowed) {
+    console.error(`Rejecting connection from disallowed origin: ${origin}`);
+    callback(false, 403, "Forbidden");
+    return;
+  }
+
+  callback(true);
+}
+
+// Check an HMAC-SHA256(token, nonce) challenge response in constant time
+function verifyChallengeResponse(nonce: string, response: unknown): boolean {
+  if (typeof response !== "string" || !/^[0-9a-f]{64}$/i.test(response)) {
+    return false;
+  }
+  const expected = createHmac("sha256", AUTH_TOKEN as string).update(nonce).digest();
+  return timingSafeEqual(expected, Buffer.from(response, "hex"));
+}
+
+// Count a failed authentication and start exponential backoff after a few
+function recordAuthFailure(failureKey: string) {
+  const failures = authFailures.get(failureKey) || { count: 0, lockedUntil: 0 };
+  failures.count++;
+  if (failures.count >= AUTH_FAILURES_BEFORE_BACKOFF) {
+    const backoff = Math.min(
+      AUTH_BACKOFF_BASE * 2 ** (failures.count - AUTH_FAILURES_BEFORE_BACKOFF),
+      AUTH_BACKOFF_MAX
+    );
+    failures.lockedUntil = Date.now() + backoff;
+    console.error(`Too many failed authentication attempts from ${failureKey}, backing off for ${backoff}ms`);
+  }
+  authFailures.set(failureKey, failures);
+}
+
+// Handle a connection from an extension or from a peer server process
+function handleConnection(ws: WebSocket, req: IncomingMessage) {
   console.error("Extension attempting to connect...");
+  const failureKey = getAuthFailureKey(req);
   let authenticated = false;
+  let isPeer = false;
+  let browserId: string | null = null;
+
+  // The token never crosses the wire: clients prove they know it by signing this nonce
+  const nonce = randomBytes(32).toString("hex");
+  ws.send(JSON.stringify({ type: "auth_challenge", nonce }));
+
+  // Unauthenticated sockets only get a short window to answer the challenge
+  const authDeadline = setTimeout(() => {
+    if (!authenticated) {
+      console.error("Closing connection: authentication deadline passed");
+      ws.close(1008, "Authentication timeout");
+    }
+  }, AUTH_TIMEOUT);
+
+  const failAuthentication = (reason: string) => {
+    recordAuthFailure(failureKey);
+    ws.send(JSON.stringify({
+      type: "auth_response",
+      success: false,
+      message: reason
+    }));
+    console.error(`Authentication failed: ${reason}`);
+    ws.close();
+  };
 
   ws.on("message", (data: Buffer) => {
     try {
       const message = JSON.parse(data.toString());
-      console.error("Received from extension:", message);
+      // Type and request id only: payloads hold cookies, storage values, screenshots and PDFs
+      console.error(`Received from extension: ${message.type}${message.requestId ? ` ${message.requestId}` : ""}`);
+
+      // Each connection gets a single authentication attempt
+      if ((message.type === "auth" || message.type === "broker_auth") && authenticated) {
+        return;
+      }
+
+      // Handle authentication of another MCP server process
+      if (message.type === "broker_auth") {
+        if (!verifyChallengeResponse(nonce, message.response)) {
+          failAuthentication("Invalid authentication token");
+          return;
+        }
+        authenticated = true;
+        isPeer = true;
+        clearTimeout(authDeadline);
+        authFailures.delete(failureKey);
+        ws.send(JSON.stringify({
+          type: "auth_response",
+          success: true,
+          message: "Broker client authenticated"
+        }));
+        console.error("Broker client attached");
+        return;
+      }
 
       // Handle authentication
       if (message.type === "auth") {
-        if (message.token === AUTH_TOKEN) {
+        if (typeof message.token === "string") {
+          failAuthentication("Outdated extension: reload it to use challenge-response authentication");
+          return;
+        }
+        const extensionId = getExtensionId(req.headers.origin);
+        if (ALLOWED_EXTENSION_IDS.length === 0 && pinnedExtensionId && extensionId !== pinnedExtensionId) {
+          failAuthentication("Another extension is already pinned to this bridge");
+          return;
+        }
+        if (verifyChallengeResponse(nonce, message.response)) {
           authenticated = true;
-          extensionSocket = ws;
+          clearTimeout(authDeadline);
+          authFailures.delete(failureKey);
+          // Extensions from before multi-browser support don't report an id
+          const id: string = typeof message.browserId === "string" && message.browserId ? message.browserId : "default";
+          browserId = id;
+
+          if (ALLOWED_EXTENSION_IDS.length === 0 && extensionId && pinnedExtensionId === null) {
+            pinnedExtensionId = extensionId;
+            console.error(`Pinned extension ${extensionId}: other extensions will be rejected until restart`);
+          }
+
+          // The same browser reconnecting replaces its previous socket
+          const previous = extensionConnections.get(id);
+          if (previous && previous.socket !== ws) {
+            previous.socket.close();
+          }
+
+          extensionConnections.set(id, {
+            browserId: id,
+            label: typeof message.label === "string" && message.label ? message.label : id,
+            browserName: typeof message.browserName === "string" ? message.browserName : "",
+            socket: ws,
+            connectedAt: Date.now(),
+          });
           ws.send(JSON.stringify({
             type: "auth_response",
             success: true,
             message: "Authentication successful"
           }));
-          console.error("Extension authenticated successfully");
+          console.error(`Extension authenticated successfully (browser ${browserId})`);
         } else {
-          ws.send(JSON.stringify({
-            type: "auth_response",
-            success: false,
-            message: "Invalid authentication token"
-          }));
-          console.error("Authentication failed: invalid token");
-          ws.close();
+          failAuthentication("Invalid authentication token");
         }
         return;
       }
@@ -80,12 +340,24 @@ wss.on("connection", (ws: WebSocket) => {
           type: "error",
           message: "Not authenticated"
         }));
+        ws.close(1008, "Not authenticated");
+        return;
+      }
+
+      if (isPeer) {
+        handleBrokerRequest(ws, message);
+        return;
+      }
+
+      if (message.type === "extend_timeout" && message.requestId) {
+        extendPendingRequest(ws, message);
         return;
       }
 
       if (message.type === "response" && message.requestId) {
         const pending = pendingRequests.get(message.requestId);
-        if (pending) {
+        // Only the browser a request was sent to may answer it
+        if (pending && pending.socket === ws) {
           if (message.success) {
             pending.resolve(message.data);
           } else {
@@ -100,65 +372,342 @@ wss.on("connection", (ws: WebSocket) => {
   });
 
   ws.on("close", () => {
-    console.error("Extension disconnected");
-    extensionSocket = null;
+    clearTimeout(authDeadline);
+
+    if (isPeer) {
+      console.error("Broker client detached");
+      return;
+    }
+
+    console.error(`Extension disconnected${browserId ? ` (browser ${browserId})` : ""}`);
+    if (browserId && extensionConnections.get(browserId)?.socket === ws) {
+      extensionConnections.delete(browserId);
+    }
+
+    rejectPendingRequests(ws, "Extension disconnected");
   });
 
   ws.on("error", (error) => {
     console.error("WebSocket error:", error);
   });
-});
+}
 
-// Send command to extension and wait for response
-function sendCommandToExtension(
-  command: string,
-  params: any,
-  timeout = 30000
+// Owner side: run a peer's request and send the result back
+async function handleBrokerRequest(ws: WebSocket, message: any) {
+  const reply = (success: boolean, data?: any, error?: string) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: "response", requestId: message.id, success, data, error }));
+    }
+  };
+
+  try {
+    if (message.type === "broker_command") {
+      // Pass deadline extensions on so the peer keeps waiting too
+      const onExtend = (timeout: number) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: "extend_timeout", requestId: message.id, timeout: timeout + 2000 }));
+        }
+      };
+      reply(true, await sendCommandToExtension(message.command, message.params, message.timeout, onExtend));
+    } else if (message.type === "broker_list_browsers") {
+      reply(true, listBrowsers());
+    } else {
+      reply(false, undefined, `Unknown broker request: ${message.type}`);
+    }
+  } catch (error: any) {
+    reply(false, undefined, error.message);
+  }
+}
+
+// Peer side: attach to the process that owns the WebSocket port
+function connectToBroker() {
+  if (shuttingDown) {
+    return;
+  }
+
+  const socket = new WebSocket(`ws://localhost:${WS_PORT}`);
+
+  socket.on("message", (data: Buffer) => {
+    try {
+      const message = JSON.parse(data.toString());
+
+      if (message.type === "auth_challenge") {
+        socket.send(JSON.stringify({
+          type: "broker_auth",
+          response: createHmac("sha256", AUTH_TOKEN as string).update(String(message.nonce)).digest("hex"),
+        }));
+        return;
+      }
+
+      if (message.type === "auth_response") {
+        if (message.success) {
+          brokerClient = socket;
+          console.error(`Attached to bridge broker on port ${WS_PORT}`);
+        } else {
+          console.error(`Broker rejected this server: ${message.message}`);
+        }
+        return;
+      }
+
+      if (message.type === "extend_timeout" && message.requestId) {
+        extendPendingRequest(socket, message);
+        return;
+      }
+
+      if (message.type === "response" && message.requestId) {
+        const pending = pendingRequests.get(message.requestId);
+        if (pending && pending.socket === socket) {
+          if (message.success) {
+            pending.resolve(message.data);
+          } else {
+            pending.reject(new Error(message.error || "Unknown error"));
+          }
+          pendingRequests.delete(message.requestId);
+        }
+      }
+    } catch (error) {
+      console.error("Error parsing message from broker:", error);
+    }
+  });
+
+  socket.on("close", () => {
+    const wasAttached = brokerClient === socket;
+    if (wasAttached) {
+      brokerClient = null;
+      console.error("Broker went away, trying to take over the WebSocket port...");
+    }
+    rejectPendingRequests(socket, "Broker connection closed");
+
+    // Jitter so several peers don't all retry at the same moment
+    const delay = (wasAttached ? 0 : BROKER_RETRY_DELAY) + Math.floor(Math.random() * 500);
+    setTimeout(startWebSocketServer, delay);
+  });
+
+  socket.on("error", (error) => {
+    console.error("Broker connection error:", error.message);
+  });
+}
+
+// Push back the deadline of a request at the receiver's request, capped at 15 minutes
+function extendPendingRequest(socket: WebSocket, message: any) {
+  const pending = pendingRequests.get(message.requestId);
+  const timeout = Number(message.timeout);
+  if (pending && pending.socket === socket && timeout > 0) {
+    pending.extend(Math.min(timeout, MAX_EXTENDED_TIMEOUT));
+  }
+}
+
+// Fail requests still waiting on a socket instead of letting them time out
+function rejectPendingRequests(socket: WebSocket, reason: string) {
+  for (const [requestId, pending] of pendingRequests) {
+    if (pending.socket === socket) {
+      pendingRequests.delete(requestId);
+      pending.reject(new Error(reason));
+    }
+  }
+}
+
+// Close the WebSocket side so the process can exit and a peer can take over
+function shutdownWebSocket() {
+  shuttingDown = true;
+
+  if (brokerClient) {
+    brokerClient.close();
+  }
+
+  if (wss) {
+    // ws doesn't close open connections on server.close(), so do it here
+    for (const client of wss.clients) {
+      client.close(1001, "Server shutting down");
+    }
+    wss.close(() => {
+      console.error("WebSocket server closed");
+    });
+  }
+}
+
+startWebSocketServer();
+
+// Pick the connection for a tool call: explicit browserId, then the configured
+// default, then the most recently connected browser
+function getExtensionConnection(browserId?: string): ExtensionConnection {
+  const findConnection = (idOrLabel: string) =>
+    extensionConnections.get(idOrLabel) ||
+    [...extensionConnections.values()].find((connection) => connection.label === idOrLabel);
+
+  if (browserId) {
+    const connection = findConnection(browserId);
+    if (!connection) {
+      throw new Error(`Browser not connected: ${browserId}`);
+    }
+    return connection;
+  }
+
+  if (DEFAULT_BROWSER) {
+    const connection = findConnection(DEFAULT_BROWSER);
+    if (!connection) {
+      throw new Error(`Default browser not connected: ${DEFAULT_BROWSER}`);
+    }
+    return connection;
+  }
+
+  let latest: ExtensionConnection | null = null;
+  for (const connection of extensionConnections.values()) {
+    if (!latest || connection.connectedAt > latest.connectedAt) {
+      latest = connection;
+    }
+  }
+  if (!latest) {
+    throw new Error("Extension not connected");
+  }
+  return latest;
+}
+
+// Describe the connected browsers for browser_list_browsers
+function listBrowsers() {
+  let defaultBrowserId: string | null = null;
+  try {
+    defaultBrowserId = getExtensionConnection().browserId;
+  } catch {
+    // No browser connected, or the configured default isn't connected
+  }
+
+  const browsers = [...extensionConnections.values()].map((connection) => ({
+    browserId: connection.browserId,
+    label: connection.label,
+    browserName: connection.browserName,
+    connectedAt: new Date(connection.connectedAt).toISOString(),
+    isDefault: connection.browserId === defaultBrowserId,
+  }));
+
+  return { browsers, defaultBrowser: DEFAULT_BROWSER };
+}
+
+// Send a request over a socket and wait for the matching "response" message.
+// The receiver can push the deadline back with an "extend_timeout" message,
+// e.g. while the user decides on an approval prompt; onExtend relays that upstream.
+function sendRequest(
+  socket: WebSocket,
+  message: any,
+  timeout: number,
+  onExtend?: (timeout: number) => void
 ): Promise<any> {
   return new Promise((resolve, reject) => {
-    if (!extensionSocket || extensionSocket.readyState !== WebSocket.OPEN) {
+    if (socket.readyState !== WebSocket.OPEN) {
       reject(new Error("Extension not connected"));
       return;
     }
 
     const requestId = `${Date.now()}-${Math.random()}`;
-    const message = {
-      id: requestId,
-      command,
-      params,
-    };
-
-    // Store pending request
-    pendingRequests.set(requestId, { resolve, reject });
 
     // Set timeout
-    const timeoutId = setTimeout(() => {
+    const startTimer = (ms: number) => setTimeout(() => {
       if (pendingRequests.has(requestId)) {
         pendingRequests.delete(requestId);
-        reject(new Error(`Request timeout after ${timeout}ms`));
+        reject(new Error(`Request timeout after ${ms}ms`));
       }
-    }, timeout);
-
-    // Clear timeout when resolved
-    const originalResolve = resolve;
-    const originalReject = reject;
+    }, ms);
+    let timeoutId = startTimer(timeout);
 
+    // Store pending request, clearing the timeout when it settles
     pendingRequests.set(requestId, {
       resolve: (data: any) => {
         clearTimeout(timeoutId);
-        originalResolve(data);
+        resolve(data);
       },
       reject: (error: Error) => {
         clearTimeout(timeoutId);
-        originalReject(error);
+        reject(error);
+      },
+      extend: (ms: number) => {
+        clearTimeout(timeoutId);
+        timeoutId = startTimer(ms);
+        onExtend?.(ms);
       },
+      socket,
     });
 
     // Send message
-    extensionSocket.send(JSON.stringify(message));
+    socket.send(JSON.stringify({ id: requestId, timeout, ...message }));
   });
 }
 
+// Send command to extension and wait for response.
+// params.browserId selects the target browser and is not forwarded.
+function sendCommandToExtension(
+  command: string,
+  params: any,
+  timeout = 30000,
+  onExtend?: (timeout: number) => void
+): Promise<any> {
+  // Tag the command with this server's agent session. Commands relayed for a peer carry the peer's.
+  if (!params?.session) {
+    if (SESSION_MODE !== "off") {
+      sessionBrowsers.add(params?.browserId ?? "");
+    }
+    params = { ...params, session: { id: SESSION_ID, mode: SESSION_MODE } };
+  }
+
+  // Peers hand the command to the broker, which picks the browser
+  if (brokerClient) {
+    return sendRequest(brokerClient, { type: "broker_command", command, params, timeout }, timeout + 2000, onExtend)
+      .then(auditTarget);
+  }
+
+  const { browserId, ...commandParams } = params || {};
+
+  let connection: ExtensionConnection;
+  try {
+    connection = getExtensionConnection(browserId);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  return sendRequest(connection.socket, { command, params: commandParams }, timeout, onExtend)
+    .then(auditTarget);
+}
+
+// Note the tab/URL of a response in the audit entry of the current tool call
+function auditTarget(data: any) {
+  noteAuditTarget(data);
+  return data;
+}
+
+// Close the agent session's tabs (or let them be, with --keep-session-tabs) in
+// every browser this server used
+async function endAgentSession() {
+  await Promise.all([...sessionBrowsers].map((browserId) =>
+    sendCommandToExtension("endSession", { browserId: browserId || undefined, keep: KEEP_SESSION_TABS }, 5000)
+      .catch((error) => console.error(`Failed to end the agent session: ${error.message}`))
+  ));
+}
+
+// Resolve a file path under <cwd>/.chrome-mcp-bridge/<subdirectory>, creating the directory
+function getOutputPath(
+  cwd: unknown,
+  subdirectory: string,
+  filename: unknown,
+  defaultFilename: string
+): string {
+  if (!cwd || typeof cwd !== "string") {
+    throw new Error("cwd parameter is required to save files");
+  }
+
+  // Create the directory structure
+  const outputDir = path.join(cwd, ".chrome-mcp-bridge", subdirectory);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  return path.join(outputDir, (filename as string) || defaultFilename);
+}
+
+// Count the pages of a PDF from its page objects. Chrome doesn't compress
+// object dictionaries, so they can be found in the raw bytes.
+function countPdfPages(pdf: Buffer): number {
+  return (pdf.toString("latin1").match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+}
+
 // Define available tools
 const tools: Tool[] = [
   {
@@ -189,13 +738,13 @@ const tools: Tool[] = [
   {
     name: "browser_close_page",
     description:
-      "Close a browser tab. If no tabId is provided, closes the current active tab.",
+      "Close a browser tab. If no tabId is provided, closes the current tab.",
     inputSchema: {
       type: "object",
       properties: {
         tabId: {
           type: "number",
-          description: "The ID of the tab to close (optional, closes active tab if not provided)",
+          description: "The ID of the tab to close (optional, closes the current tab if not provided)",
         },
       },
     },
@@ -203,13 +752,13 @@ const tools: Tool[] = [
   {
     name: "browser_screenshot",
     description:
-      "Take a screenshot of the browser tab. Can capture just the visible viewport or the entire scrollable page. Optionally save to disk.",
+      "Take a screenshot of the browser tab. Can capture the visible viewport, the entire scrollable page, a single element (cropped to its bounding box) or a clip rectangle. Optionally save to disk.",
     inputSchema: {
       type: "object",
       properties: {
         tabId: {
           type: "number",
-          description: "The ID of the tab to screenshot (optional, uses active tab if not provided)",
+          description: "The ID of the tab to screenshot (optional, uses the current tab if not provided)",
         },
         format: {
           type: "string",
@@ -224,7 +773,43 @@ const tools: Tool[] = [
         },
         fullPage: {
           type: "boolean",
-          description: "Capture the entire scrollable page instead of just the visible viewport (default: false)",
+          description: "Capture the entire scrollable page instead of just the visible viewport. Lazy content is loaded first; very tall pages are returned as several images (default: false)",
+          default: false,
+        },
+        selector: {
+          type: "string",
+          description: "Capture only this element: it is scrolled into view and the image is cropped to its bounding box",
+        },
+        selectorType: {
+          type: "string",
+          enum: ["css", "xpath", "ref"],
+          description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
+          default: "css",
+        },
+        padding: {
+          type: "number",
+          description: "Extra CSS pixels to include around the element on each side (default: 0)",
+          default: 0,
+        },
+        clip: {
+          type: "object",
+          description: "Capture only this rectangle, in CSS pixels relative to the top-left of the page (not the viewport). The image is at device pixel resolution.",
+          properties: {
+            x: { type: "number" },
+            y: { type: "number" },
+            width: { type: "number" },
+            height: { type: "number" },
+          },
+          required: ["x", "y", "width", "height"],
+        },
+        hideFixed: {
+          type: "boolean",
+          description: "Hide fixed and sticky elements (headers, chat widgets, cookie banners) during the capture (default: false)",
+          default: false,
+        },
+        annotate: {
+          type: "boolean",
+          description: "Draw numbered labels on the visible interactive elements (links, buttons, inputs) and return a legend mapping each number to a selector, role and text. Pass a number to browser_click as mark. (default: false)",
           default: false,
         },
         saveToFile: {
@@ -251,7 +836,7 @@ const tools: Tool[] = [
       properties: {
         tabId: {
           type: "number",
-          description: "The ID of the tab to scroll (optional, uses active tab if not provided)",
+          description: "The ID of the tab to scroll (optional, uses the current tab if not provided)",
         },
         x: {
           type: "number",
@@ -274,17 +859,21 @@ const tools: Tool[] = [
   },
   {
     name: "browser_find",
-    description: "Find and highlight text in the current page.",
+    description: "Find and highlight text in the current page, or inside an element identified by a browser_snapshot ref.",
     inputSchema: {
       type: "object",
       properties: {
         tabId: {
           type: "number",
-          description: "The ID of the tab to search in (optional, uses active tab if not provided)",
+          description: "The ID of the tab to search in (optional, uses the current tab if not provided)",
         },
         text: {
           type: "string",
-          description: "The text to search for in the page",
+          description: "The text to search for in the page (optional when ref is provided)",
+        },
+        ref: {
+          type: "string",
+          description: "Element ref from browser_snapshot to search within, or to highlight when no text is given (optional)",
         },
         highlightAll: {
           type: "boolean",
@@ -292,12 +881,11 @@ const tools: Tool[] = [
           default: false,
         },
       },
-      required: ["text"],
     },
   },
   {
     name: "browser_get_current_tab",
-    description: "Get information about the current active tab.",
+    description: "Get information about the current tab: the agent session's latest tab, or with --session=off the active tab of the most recently focused browser window.",
     inputSchema: {
       type: "object",
       properties: {},
@@ -305,153 +893,1570 @@ const tools: Tool[] = [
   },
   {
     name: "browser_list_tabs",
-    description: "List all open tabs in the browser.",
-    inputSchema: {
-      type: "object",
-      properties: {},
-    },
-  },
-  {
-    name: "browser_click",
-    description: "Click on an element in the page using a CSS selector or XPath.",
+    description: "List open tabs in the browser with their window, position, URL, title and state (active, pinned, audible, muted, discarded, group). Filters are optional.",
     inputSchema: {
       type: "object",
       properties: {
-        tabId: {
+        windowId: {
           type: "number",
-          description: "The ID of the tab (optional, uses active tab if not provided)",
+          description: "Only tabs in this window",
         },
-        selector: {
+        urlPattern: {
           type: "string",
-          description: "CSS selector or XPath to locate the element (e.g., '#submit-button', '//button[text()=\"Submit\"]')",
+          description: "Only tabs whose URL matches this regular expression",
         },
-        selectorType: {
-          type: "string",
-          enum: ["css", "xpath"],
-          description: "Type of selector (default: css)",
-          default: "css",
+        audible: {
+          type: "boolean",
+          description: "Only tabs that are (or aren't) playing sound",
         },
-        waitForElement: {
+        discarded: {
           type: "boolean",
-          description: "Wait for the element to be present before clicking (default: true)",
-          default: true,
+          description: "Only tabs that are (or aren't) discarded to save memory",
         },
-        timeout: {
+        pinned: {
+          type: "boolean",
+          description: "Only pinned (or unpinned) tabs",
+        },
+        groupId: {
           type: "number",
-          description: "Maximum time to wait for element in milliseconds (default: 5000)",
-          default: 5000,
+          description: "Only tabs in this tab group (-1 for tabs in no group)",
         },
       },
-      required: ["selector"],
     },
   },
   {
-    name: "browser_fill_form",
-    description: "Fill out form fields in the page. Can fill multiple fields at once.",
+    name: "browser_activate_tab",
+    description: "Bring a tab to the front and focus its window.",
     inputSchema: {
       type: "object",
       properties: {
         tabId: {
           type: "number",
-          description: "The ID of the tab (optional, uses active tab if not provided)",
+          description: "The ID of the tab to activate",
         },
-        fields: {
-          type: "array",
-          description: "Array of form fields to fill",
-          items: {
-            type: "object",
-            properties: {
-              selector: {
-                type: "string",
-                description: "CSS selector or XPath to locate the field",
-              },
-              selectorType: {
+      },
+      required: ["tabId"],
+    },
+  },
+  {
+    name: "browser_list_windows",
+    description: "List browser windows with their type, state (normal, minimized, maximized, fullscreen), focused state, bounds, tab count and active tab.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        includeTabs: {
+          type: "boolean",
+          description: "Include each window's tabs (default: false)",
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_create_window",
+    description: "Open a new browser window, optionally with a URL, size and position. Waits for the page to load.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "URL to open (optional, opens a new tab page if not provided)",
+        },
+        focused: {
+          type: "boolean",
+          description: "Focus the new window (default: true)",
+          default: true,
+        },
+        incognito: {
+          type: "boolean",
+          description: "Open an incognito window; the extension must be allowed in incognito (default: false)",
+          default: false,
+        },
+        type: {
+          type: "string",
+          enum: ["normal", "popup"],
+          description: "Window type (default: normal)",
+          default: "normal",
+        },
+        state: {
+          type: "string",
+          enum: ["normal", "minimized", "maximized", "fullscreen"],
+          description: "Window state; bounds are ignored unless it is normal (default: normal)",
+        },
+        left: { type: "number", description: "Left edge in screen pixels" },
+        top: { type: "number", description: "Top edge in screen pixels" },
+        width: { type: "number", description: "Width in pixels" },
+        height: { type: "number", description: "Height in pixels" },
+      },
+    },
+  },
+  {
+    name: "browser_close_window",
+    description: "Close a window and all its tabs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        windowId: {
+          type: "number",
+          description: "The ID of the window to close",
+        },
+      },
+      required: ["windowId"],
+    },
+  },
+  {
+    name: "browser_move_tab",
+    description: "Move a tab to another position in its window, or to another window.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        windowId: {
+          type: "number",
+          description: "Window to move the tab to (optional, stays in its window if not provided)",
+        },
+        index: {
+          type: "number",
+          description: "Position in the window, 0 for first (default: -1, the end)",
+          default: -1,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_pin_tab",
+    description: "Pin or unpin a tab.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        pinned: {
+          type: "boolean",
+          description: "true to pin, false to unpin (default: true)",
+          default: true,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_group_tabs",
+    description: "Put tabs in a new or existing tab group with a title and color, or remove them from their group.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabIds: {
+          type: "array",
+          items: { type: "number" },
+          description: "Tabs to group (optional, uses tabId or the current tab if not provided)",
+        },
+        tabId: {
+          type: "number",
+          description: "A single tab to group, if tabIds is not provided",
+        },
+        groupId: {
+          type: "number",
+          description: "Existing group to add the tabs to (optional, creates a new group if not provided)",
+        },
+        title: {
+          type: "string",
+          description: "Group title",
+        },
+        color: {
+          type: "string",
+          enum: ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"],
+          description: "Group color",
+        },
+        collapsed: {
+          type: "boolean",
+          description: "Collapse the group",
+        },
+        ungroup: {
+          type: "boolean",
+          description: "Remove the tabs from their groups instead (default: false)",
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_duplicate_tab",
+    description: "Duplicate a tab, including its history, and wait for the copy to load.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+      },
+    },
+  },
+  {
+    name: "browser_click",
+    description: "Click on an element in the page using a CSS selector, XPath, a ref from browser_snapshot, or a mark number from an annotated browser_screenshot.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        selector: {
+          type: "string",
+          description: "CSS selector, XPath or snapshot ref to locate the element (e.g., '#submit-button', '//button[text()=\"Submit\"]', 'e12'). In CSS selectors, '>>>' steps into an element's open shadow root (e.g., 'my-app >>> button.save')",
+        },
+        selectorType: {
+          type: "string",
+          enum: ["css", "xpath", "ref"],
+          description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
+          default: "css",
+        },
+        mark: {
+          type: "number",
+          description: "Number of a label from the last annotated browser_screenshot of this tab, instead of a selector",
+        },
+        waitForElement: {
+          type: "boolean",
+          description: "Wait for the element to be present before clicking (default: true)",
+          default: true,
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for element in milliseconds (default: 5000)",
+          default: 5000,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_fill_form",
+    description: "Fill out form fields in the page. Can fill multiple fields at once.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        fields: {
+          type: "array",
+          description: "Array of form fields to fill",
+          items: {
+            type: "object",
+            properties: {
+              selector: {
                 type: "string",
-                enum: ["css", "xpath"],
-                description: "Type of selector (default: css)",
+                description: "CSS selector, XPath or snapshot ref to locate the field. In CSS selectors, '>>>' steps into an element's open shadow root",
+              },
+              selectorType: {
+                type: "string",
+                enum: ["css", "xpath", "ref"],
+                description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
                 default: "css",
               },
               value: {
                 type: "string",
                 description: "Value to fill in the field",
               },
-              clear: {
-                type: "boolean",
-                description: "Clear existing value before filling (default: true)",
-                default: true,
+              clear: {
+                type: "boolean",
+                description: "Clear existing value before filling (default: true)",
+                default: true,
+              },
+            },
+            required: ["selector", "value"],
+          },
+        },
+        waitForElements: {
+          type: "boolean",
+          description: "Wait for elements to be present before filling (default: true)",
+          default: true,
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for elements in milliseconds (default: 5000)",
+          default: 5000,
+        },
+      },
+      required: ["fields"],
+    },
+  },
+  {
+    name: "browser_get_page_content",
+    description: "Get the rendered HTML, text or Markdown content of a page after it has loaded. Markdown keeps headings, lists, links with absolute URLs, tables and code blocks, and readable mode keeps only the main content without navigation, ads and footers. Long content comes in pieces of maxLength characters: the response's pagination gives the total length and the nextOffset to request the next piece. Includes page metadata like title, description, and Open Graph tags.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        format: {
+          type: "string",
+          enum: ["html", "text", "markdown", "both"],
+          description: "The format of content to retrieve: 'html' for full HTML, 'text' for visible text only, 'markdown' for structured Markdown, 'both' for html and text (default: html). 'both' returns only the first piece of each; page through the rest with 'html' or 'text'",
+          default: "html",
+        },
+        readable: {
+          type: "boolean",
+          description: "Only return the main content (article or main element), leaving out navigation, headers, footers, sidebars, ads and hidden elements (default: false)",
+          default: false,
+        },
+        selector: {
+          type: "string",
+          description: "CSS selector, XPath or snapshot ref of an element to extract instead of the whole page (optional). In CSS selectors, '>>>' steps into an element's open shadow root",
+        },
+        selectorType: {
+          type: "string",
+          enum: ["css", "xpath", "ref"],
+          description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
+          default: "css",
+        },
+        maxLength: {
+          type: "number",
+          description: "Maximum number of characters to return per format (default: 100000). Longer content is split into pieces",
+          default: 100000,
+        },
+        offset: {
+          type: "number",
+          description: "Character offset to start from, taken from pagination.<format>.nextOffset of the previous response (default: 0)",
+          default: 0,
+        },
+        includeMetadata: {
+          type: "boolean",
+          description: "Include page metadata like title, description, Open Graph tags, etc. (default: true)",
+          default: true,
+        },
+        includeFrames: {
+          type: "boolean",
+          description: "Also return the content of the page's iframes, same-origin or not, in a frames list. Frame content isn't split into pieces: target a frame with frameId to page through it (default: false)",
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_navigate",
+    description: "Navigate an existing tab to a URL and wait for the page to load. Returns the final URL after redirects, the title and the HTTP status.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab to navigate (optional, uses the current tab if not provided)",
+        },
+        url: {
+          type: "string",
+          description: "The URL to navigate to (e.g., https://example.com)",
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for the page to load in milliseconds (default: 30000)",
+          default: 30000,
+        },
+      },
+      required: ["url"],
+    },
+  },
+  {
+    name: "browser_go_back",
+    description: "Go back one page in a tab's history and wait for the page to load.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for the page to load in milliseconds (default: 30000)",
+          default: 30000,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_go_forward",
+    description: "Go forward one page in a tab's history and wait for the page to load.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for the page to load in milliseconds (default: 30000)",
+          default: 30000,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_reload",
+    description: "Reload a tab and wait for the page to load.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab to reload (optional, uses the current tab if not provided)",
+        },
+        bypassCache: {
+          type: "boolean",
+          description: "Bypass the browser cache when reloading (default: false)",
+          default: false,
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for the page to load in milliseconds (default: 30000)",
+          default: 30000,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_type",
+    description: "Type text with real keyboard events into the focused element or an element matched by a selector. Works with autocomplete widgets and rich-text editors that ignore browser_fill_form.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        text: {
+          type: "string",
+          description: "The text to type. A newline presses Enter.",
+        },
+        selector: {
+          type: "string",
+          description: "CSS selector, XPath or snapshot ref of the element to focus before typing (optional, types into the focused element if not provided)",
+        },
+        selectorType: {
+          type: "string",
+          enum: ["css", "xpath", "ref"],
+          description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
+          default: "css",
+        },
+        clear: {
+          type: "boolean",
+          description: "Clear the element's existing content before typing (default: false, requires selector)",
+          default: false,
+        },
+        delay: {
+          type: "number",
+          description: "Delay between characters in milliseconds (default: 0)",
+          default: 0,
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for the element in milliseconds (default: 5000)",
+          default: 5000,
+        },
+      },
+      required: ["text"],
+    },
+  },
+  {
+    name: "browser_press_key",
+    description: "Press a key or key combination with real keyboard events, e.g. 'Enter', 'Tab', 'Escape', 'ArrowDown' or 'Control+A'.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        key: {
+          type: "string",
+          description: "Key name or combination joined with '+' (modifiers: Control/Ctrl, Shift, Alt, Meta/Cmd)",
+        },
+        selector: {
+          type: "string",
+          description: "CSS selector, XPath or snapshot ref of the element to focus first (optional, uses the focused element if not provided)",
+        },
+        selectorType: {
+          type: "string",
+          enum: ["css", "xpath", "ref"],
+          description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
+          default: "css",
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for the element in milliseconds (default: 5000)",
+          default: 5000,
+        },
+      },
+      required: ["key"],
+    },
+  },
+  {
+    name: "browser_snapshot",
+    description: "Get a compact accessibility-tree snapshot of the page's interactive and landmark elements. Each node shows its role, accessible name, value and state plus a ref (e.g. 'e12') that browser_click, browser_fill_form, browser_type, browser_press_key and browser_find accept with selectorType 'ref'. Refs stay valid until the page navigates.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        interactiveOnly: {
+          type: "boolean",
+          description: "Only include interactive elements, leaving out landmarks, headings, lists and tables (default: false)",
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_get_console_logs",
+    description: "Get console messages, uncaught exceptions and unhandled promise rejections captured from a tab. Capture starts before the page's own scripts run.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        levels: {
+          type: "array",
+          items: {
+            type: "string",
+            enum: ["log", "info", "warn", "error", "debug"],
+          },
+          description: "Only return entries with these levels (optional, returns all levels if not provided)",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of most recent entries to return (default: 100)",
+          default: 100,
+        },
+        clear: {
+          type: "boolean",
+          description: "Clear the tab's buffer after reading it (default: false)",
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_get_network_log",
+    description: "List the network requests made by a tab (XHR, fetch, documents, scripts, images...) with method, URL, status, resource type, timing and size. Response bodies are optional.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        urlPattern: {
+          type: "string",
+          description: "Only include requests whose URL matches this regular expression (optional, e.g. '/api/')",
+        },
+        status: {
+          type: ["number", "string"],
+          description: "Only include responses with this status code (e.g. 404) or class (e.g. '5xx') (optional)",
+        },
+        resourceTypes: {
+          type: "array",
+          items: {
+            type: "string",
+          },
+          description: "Only include these resource types, e.g. ['xmlhttprequest', 'main_frame', 'script'] (optional; fetch() requests are 'xmlhttprequest')",
+        },
+        includeBodies: {
+          type: "boolean",
+          description: "Include response bodies (default: false). Bodies are only available for requests made after body capture started. The first call on a tab only starts it and returns no bodies, so call again after the page makes the requests you need (e.g. reload it).",
+          default: false,
+        },
+        includeSensitiveHeaders: {
+          type: "boolean",
+          description: "Return the values of Authorization, Proxy-Authorization, Cookie and Set-Cookie headers instead of [REDACTED] (default: false)",
+          default: false,
+        },
+        maxBodySize: {
+          type: "number",
+          description: "Maximum characters of each response body to return (default: 100000)",
+          default: 100000,
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of most recent requests to return (default: 200)",
+          default: 200,
+        },
+        clear: {
+          type: "boolean",
+          description: "Clear the tab's network log after reading it (default: false)",
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_export_har",
+    description: "Export a tab's network log as a HAR file saved in .chrome-mcp-bridge/har/.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        cwd: {
+          type: "string",
+          description: "Current working directory where .chrome-mcp-bridge/har/ directory will be created",
+        },
+        filename: {
+          type: "string",
+          description: "Custom filename for the HAR file (optional, auto-generated if not provided)",
+        },
+        urlPattern: {
+          type: "string",
+          description: "Only include requests whose URL matches this regular expression (optional)",
+        },
+        includeBodies: {
+          type: "boolean",
+          description: "Include response bodies where available (default: false)",
+          default: false,
+        },
+        includeSensitiveHeaders: {
+          type: "boolean",
+          description: "Write the values of Authorization, Proxy-Authorization, Cookie and Set-Cookie headers instead of [REDACTED] (default: false)",
+          default: false,
+        },
+      },
+      required: ["cwd"],
+    },
+  },
+  {
+    name: "browser_evaluate",
+    description: "Run JavaScript in the page's main world and return the result. Pass either an expression (e.g. 'document.title') or an async function body that uses 'return' and receives the JSON 'args' array. DOM nodes are summarized, circular references are marked, large results are truncated, and thrown errors are returned with their stack. Only available when the server is started with --enable-evaluate.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        expression: {
+          type: "string",
+          description: "A JavaScript expression to evaluate; promises are awaited (provide this or functionBody)",
+        },
+        functionBody: {
+          type: "string",
+          description: "The body of an async function to run, with access to 'args' (provide this or expression)",
+        },
+        args: {
+          type: "array",
+          description: "JSON-serializable arguments available to the code as 'args' (optional)",
+          items: {},
+        },
+        frameUrl: {
+          type: "string",
+          description: "Run in the first frame whose URL contains this text instead of the top frame (optional)",
+        },
+        maxResultLength: {
+          type: "number",
+          description: "Maximum length of the serialized result in characters (default: 50000)",
+          default: 50000,
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait for the result in milliseconds (default: 30000)",
+          default: 30000,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_wait_for",
+    description: "Wait until the page reaches a state: an element appears, becomes visible, becomes hidden or is removed; text appears; the URL matches a pattern; or the network goes idle. When several conditions are given, all of them must hold. Returns how long it waited.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        selector: {
+          type: "string",
+          description: "CSS selector, XPath or snapshot ref of the element to wait for (optional)",
+        },
+        selectorType: {
+          type: "string",
+          enum: ["css", "xpath", "ref"],
+          description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
+          default: "css",
+        },
+        state: {
+          type: "string",
+          enum: ["attached", "visible", "hidden", "detached"],
+          description: "Element state to wait for (default: visible)",
+          default: "visible",
+        },
+        text: {
+          type: "string",
+          description: "Text to wait for in the page, or inside the selected element when selector is given (optional)",
+        },
+        urlPattern: {
+          type: "string",
+          description: "Regular expression the tab URL must match (optional)",
+        },
+        networkIdle: {
+          type: "boolean",
+          description: "Wait until no requests are in flight for idleTime milliseconds (default: false)",
+          default: false,
+        },
+        idleTime: {
+          type: "number",
+          description: "How long the network must stay idle in milliseconds (default: 500)",
+          default: 500,
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum time to wait in milliseconds (default: 10000)",
+          default: 10000,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_start_recording",
+    description: "Start recording the user's clicks, typing, key presses, scrolls and navigations in a tab, to learn a flow by watching the user do it. Stop with browser_stop_recording.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab to record (optional, uses the current tab if not provided)",
+        },
+      },
+    },
+  },
+  {
+    name: "browser_stop_recording",
+    description: "Stop a recording and return it as a sequence of equivalent bridge tool calls (browser_open_page, browser_click, browser_fill_form, ...). Typed passwords are replaced with [REDACTED]. Can save the calls as a .jsonl script that the server's --replay mode runs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the recorded tab (optional, uses the most recently started recording if not provided)",
+        },
+        saveToFile: {
+          type: "boolean",
+          description: "Save the tool calls to .chrome-mcp-bridge/recordings in cwd (default: false)",
+          default: false,
+        },
+        cwd: {
+          type: "string",
+          description: "Current working directory, required when saveToFile is true",
+        },
+        filename: {
+          type: "string",
+          description: "Custom filename (optional, defaults to recording-{timestamp}.jsonl)",
+        },
+      },
+    },
+  },
+  {
+    name: "browser_compare_screenshot",
+    description: "Visual regression check: screenshot a tab (or an element or region) as PNG and compare it pixel by pixel with a named baseline in .chrome-mcp-bridge/images/baselines/. Returns the mismatch percentage, pass/fail against a threshold and a diff image (changed pixels in red), saved to .chrome-mcp-bridge/images/diffs/. The first run, or update: true, saves the screenshot as the baseline.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Baseline name, used as the file name (letters, digits, '.', '_' and '-')",
+        },
+        cwd: {
+          type: "string",
+          description: "Current working directory where .chrome-mcp-bridge/images/ is kept",
+        },
+        tabId: {
+          type: "number",
+          description: "The ID of the tab to screenshot (optional, uses the current tab if not provided)",
+        },
+        selector: {
+          type: "string",
+          description: "Compare only this element",
+        },
+        selectorType: {
+          type: "string",
+          enum: ["css", "xpath", "ref"],
+          description: "Type of selector: 'css', 'xpath', or 'ref' for a ref from browser_snapshot (default: css)",
+          default: "css",
+        },
+        padding: {
+          type: "number",
+          description: "Extra CSS pixels to include around the element on each side (default: 0)",
+          default: 0,
+        },
+        clip: {
+          type: "object",
+          description: "Compare only this rectangle, in CSS pixels relative to the top-left of the page",
+          properties: {
+            x: { type: "number" },
+            y: { type: "number" },
+            width: { type: "number" },
+            height: { type: "number" },
+          },
+          required: ["x", "y", "width", "height"],
+        },
+        fullPage: {
+          type: "boolean",
+          description: "Compare the entire scrollable page instead of the visible viewport (default: false)",
+          default: false,
+        },
+        hideFixed: {
+          type: "boolean",
+          description: "Hide fixed and sticky elements during the capture (default: false)",
+          default: false,
+        },
+        ignoreRegions: {
+          type: "array",
+          description: "Rectangles to leave out of the comparison, in pixels of the screenshot image (device pixels, origin at its top-left), e.g. a clock or an ad",
+          items: {
+            type: "object",
+            properties: {
+              x: { type: "number" },
+              y: { type: "number" },
+              width: { type: "number" },
+              height: { type: "number" },
+            },
+            required: ["x", "y", "width", "height"],
+          },
+        },
+        threshold: {
+          type: "number",
+          description: "Largest mismatch percentage (0-100) that still passes (default: 0.1)",
+          default: 0.1,
+        },
+        colorThreshold: {
+          type: "number",
+          description: "How different a pixel's color may be before it counts as changed, from 0 (exact) to 1 (default: 0.1)",
+          default: 0.1,
+        },
+        update: {
+          type: "boolean",
+          description: "Replace the baseline with the new screenshot instead of comparing (default: false)",
+          default: false,
+        },
+      },
+      required: ["name", "cwd"],
+    },
+  },
+  {
+    name: "browser_print_to_pdf",
+    description: "Print the rendered page to a PDF file saved in .chrome-mcp-bridge/pdf/, e.g. to archive invoices, reports or docs. Returns the file path and page count.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab to print (optional, uses the current tab if not provided)",
+        },
+        cwd: {
+          type: "string",
+          description: "Current working directory where .chrome-mcp-bridge/pdf/ directory will be created",
+        },
+        filename: {
+          type: "string",
+          description: "Custom filename for the PDF (optional, auto-generated if not provided)",
+        },
+        paperFormat: {
+          type: "string",
+          enum: ["letter", "legal", "tabloid", "a3", "a4", "a5"],
+          description: "Paper size (default: letter)",
+          default: "letter",
+        },
+        paperWidth: {
+          type: "number",
+          description: "Custom paper width in inches, used with paperHeight instead of paperFormat",
+        },
+        paperHeight: {
+          type: "number",
+          description: "Custom paper height in inches, used with paperWidth instead of paperFormat",
+        },
+        landscape: {
+          type: "boolean",
+          description: "Landscape orientation (default: false)",
+          default: false,
+        },
+        margins: {
+          type: "object",
+          description: "Page margins in inches (default: 0.4 on each side)",
+          properties: {
+            top: { type: "number" },
+            bottom: { type: "number" },
+            left: { type: "number" },
+            right: { type: "number" },
+          },
+        },
+        printBackground: {
+          type: "boolean",
+          description: "Print background colors and images (default: false)",
+          default: false,
+        },
+        pageRanges: {
+          type: "string",
+          description: "Pages to print, e.g. '1-5, 8, 11-13' (default: all pages)",
+        },
+        headerTemplate: {
+          type: "string",
+          description: "HTML for the page header. Elements with the classes date, title, url, pageNumber and totalPages get those values. Setting a header or footer turns both on.",
+        },
+        footerTemplate: {
+          type: "string",
+          description: "HTML for the page footer, same format as headerTemplate (e.g. '<div style=\"font-size:8px;margin:auto\"><span class=\"pageNumber\"></span> / <span class=\"totalPages\"></span></div>')",
+        },
+        scale: {
+          type: "number",
+          description: "Scale of the page rendering, 0.1 to 2 (default: 1)",
+          default: 1,
+        },
+        preferCSSPageSize: {
+          type: "boolean",
+          description: "Use the page size from the page's CSS @page rule over paperFormat (default: false)",
+          default: false,
+        },
+      },
+      required: ["cwd"],
+    },
+  },
+  {
+    name: "browser_get_cookies",
+    description: "List the cookies for a URL or domain (default: the tab's URL), with domain, path, flags and expiry. Values are redacted unless includeValues is true.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        url: {
+          type: "string",
+          description: "Cookies sent to this URL (optional, defaults to the tab's URL)",
+        },
+        domain: {
+          type: "string",
+          description: "All cookies of this domain and its subdomains, instead of url (e.g. 'example.com')",
+        },
+        name: {
+          type: "string",
+          description: "Only cookies with this name (optional)",
+        },
+        includeValues: {
+          type: "boolean",
+          description: "Return cookie values instead of [REDACTED] (default: false)",
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: "browser_set_cookie",
+    description: "Set a cookie, e.g. to log into a test account or prepare state. The cookie is set for a URL (default: the tab's URL) in the tab's cookie store.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        url: {
+          type: "string",
+          description: "URL the cookie is set for; its host and path are the defaults for domain and path (optional, defaults to the tab's URL)",
+        },
+        name: {
+          type: "string",
+          description: "Cookie name",
+        },
+        value: {
+          type: "string",
+          description: "Cookie value",
+        },
+        domain: {
+          type: "string",
+          description: "Cookie domain, e.g. '.example.com' to share it with subdomains (default: host-only cookie for the URL's host)",
+        },
+        path: {
+          type: "string",
+          description: "Cookie path (default: the URL's path)",
+        },
+        secure: {
+          type: "boolean",
+          description: "Only send the cookie over HTTPS",
+        },
+        httpOnly: {
+          type: "boolean",
+          description: "Hide the cookie from page scripts",
+        },
+        sameSite: {
+          type: "string",
+          enum: ["strict", "lax", "none"],
+          description: "SameSite attribute ('none' requires secure)",
+        },
+        expirationDate: {
+          type: "number",
+          description: "Expiry in seconds since the Unix epoch (default: session cookie)",
+        },
+      },
+      required: ["name"],
+    },
+  },
+  {
+    name: "browser_clear_cookies",
+    description: "Delete the cookies for a URL or domain (default: the tab's URL), optionally only those with a given name. Useful to reset state between runs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        url: {
+          type: "string",
+          description: "Cookies sent to this URL (optional, defaults to the tab's URL)",
+        },
+        domain: {
+          type: "string",
+          description: "All cookies of this domain and its subdomains, instead of url (e.g. 'example.com')",
+        },
+        name: {
+          type: "string",
+          description: "Only delete cookies with this name (optional)",
+        },
+      },
+    },
+  },
+  {
+    name: "browser_storage_get",
+    description: "Read localStorage or sessionStorage of the tab's origin (the top frame).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        area: {
+          type: "string",
+          enum: ["local", "session"],
+          description: "localStorage or sessionStorage (default: local)",
+          default: "local",
+        },
+        keys: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only these keys (optional, returns all items if not provided)",
+        },
+      },
+    },
+  },
+  {
+    name: "browser_storage_set",
+    description: "Write items to localStorage or sessionStorage of the tab's origin. Values that aren't strings are stored as JSON.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        area: {
+          type: "string",
+          enum: ["local", "session"],
+          description: "localStorage or sessionStorage (default: local)",
+          default: "local",
+        },
+        items: {
+          type: "object",
+          description: "Keys and values to write, e.g. { \"theme\": \"dark\" }",
+        },
+      },
+      required: ["items"],
+    },
+  },
+  {
+    name: "browser_storage_clear",
+    description: "Remove keys from localStorage or sessionStorage of the tab's origin, or clear it entirely.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tabId: {
+          type: "number",
+          description: "The ID of the tab (optional, uses the current tab if not provided)",
+        },
+        area: {
+          type: "string",
+          enum: ["local", "session"],
+          description: "localStorage or sessionStorage (default: local)",
+          default: "local",
+        },
+        keys: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only remove these keys (optional, clears everything if not provided)",
+        },
+      },
+    },
+  },
+  {
+    name: "browser_list_browsers",
+    description: "List the connected browsers (Chrome profiles, Edge, ...) with their browser IDs and labels. Pass a browserId to any other tool to target a specific browser.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+];
+
+// Tools that can act inside an iframe instead of the top-level page
+const FRAME_TOOLS = new Set(["browser_click", "browser_fill_form", "browser_find", "browser_get_page_content", "browser_screenshot"]);
+
+// Every browser tool can target a specific connected browser
+for (const tool of tools) {
+  if (tool.name === "browser_list_browsers") {
+    continue;
+  }
+  tool.inputSchema.properties = {
+    ...tool.inputSchema.properties,
+    browserId: {
+      type: "string",
+      description: "ID or label of the browser to use (optional, see browser_list_browsers; uses the default browser if not provided)",
+    },
+  };
+
+  // Tools that take a tab stay within the agent session's tabs unless told otherwise.
+  // Recording is for the user's own tabs.
+  const takesTab = tool.inputSchema.properties.tabId || tool.name === "browser_close_window";
+  if (SESSION_MODE !== "off" && takesTab && tool.name !== "browser_start_recording") {
+    tool.inputSchema.properties.allowOtherTabs = {
+      type: "boolean",
+      description: "Allow acting on a tab or window that doesn't belong to this agent session, such as the user's own tabs (default: false)",
+    };
+  }
+
+  if (FRAME_TOOLS.has(tool.name)) {
+    tool.inputSchema.properties = {
+      ...tool.inputSchema.properties,
+      frameId: {
+        type: "number",
+        description: "Act inside the frame with this ID, as listed in the frames of browser_get_page_content (optional, use at most one frame option)",
+      },
+      frameUrl: {
+        type: "string",
+        description: "Act inside the first frame whose URL contains this text (optional)",
+      },
+      frameSelector: {
+        type: "string",
+        description: "CSS selector of the iframe element to act inside, e.g. 'iframe[name=payment]' (optional, '>>>' works here too)",
+      },
+    };
+  }
+}
+
+// One audit file per server process unless --audit-log names a .jsonl file
+const auditLog = AUDIT_ENABLED && !REPLAY_FILE
+  ? new AuditLog(
+      AUDIT_LOG_PATH.endsWith(".jsonl")
+        ? AUDIT_LOG_PATH
+        : path.join(AUDIT_LOG_PATH, `session-${SESSION_ID}.jsonl`),
+      SESSION_ID,
+      AUDIT_REDACT_INPUT
+    )
+  : null;
+
+// Create MCP server
+const server = new Server(
+  {
+    name: "island-browser-mcp",
+    version: "1.0.0",
+  },
+  {
+    capabilities: {
+      tools: {},
+    },
+  }
+);
+
+// Handle tool listing
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools: tools.filter((tool) => EVALUATE_ENABLED || tool.name !== "browser_evaluate"),
+  };
+});
+
+// Handle tool execution
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args } = request.params;
+
+  if (!auditLog) {
+    return callTool(name, args);
+  }
+  return auditLog.record(name, args, () => callTool(name, args));
+});
+
+// Run a tool call, reporting failures as isError results
+async function callTool(name: string, args: Record<string, unknown> | undefined) {
+  try {
+    let result: any;
+
+    switch (name) {
+      case "browser_open_page":
+        result = await sendCommandToExtension("openPage", args);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_close_page":
+        result = await sendCommandToExtension("closePage", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_screenshot": {
+        // Full pages load lazy content first and may be captured in many tiles
+        result = await sendCommandToExtension("screenshot", args || {}, args?.fullPage ? 120000 : undefined);
+
+        // Very tall pages come back as several images, top to bottom
+        const images: string[] = result.segments
+          ? result.segments.map((segment: any) => segment.screenshot)
+          : [result.screenshot];
+
+        // Handle file saving if requested
+        const savedPaths: string[] = [];
+        if (args?.saveToFile) {
+          if (!args.cwd || typeof args.cwd !== "string") {
+            throw new Error("cwd parameter is required when saveToFile is true");
+          }
+
+          // Generate filename if not provided
+          const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+          const basePath = getOutputPath(args.cwd, "images", args.filename, `screenshot-${timestamp}.${result.format}`);
+          const extension = path.extname(basePath);
+
+          images.forEach((image, index) => {
+            const savedPath = images.length > 1
+              ? `${basePath.slice(0, basePath.length - extension.length)}-${index + 1}${extension}`
+              : basePath;
+            // Extract base64 data and save to file
+            fs.writeFileSync(savedPath, Buffer.from(image.split(",")[1], "base64"));
+            savedPaths.push(savedPath);
+          });
+          noteSavedFile(savedPaths[0]);
+        }
+
+        // Return the screenshot as both text description and image
+        let textContent = savedPaths.length > 0
+          ? `Screenshot captured successfully from tab ${result.tabId} and saved to: ${savedPaths.join(", ")}`
+          : `Screenshot captured successfully from tab ${result.tabId}`;
+        if (images.length > 1) {
+          textContent += ` (page split into ${images.length} images, top to bottom)`;
+        }
+        if (result.cropped) {
+          textContent += ` (only the left ${result.cropped.capturedWidth} of ${result.cropped.pageWidth} CSS px of the page's width fit in the image)`;
+        }
+        if (result.clip) {
+          const { x, y, width, height } = result.clip;
+          textContent += ` (region ${width}x${height} at ${x},${y} CSS px, device pixel ratio ${result.devicePixelRatio})`;
+        }
+        if (result.marks) {
+          const legend = result.marks.map((mark: any) =>
+            `[${mark.mark}] ${mark.role}${mark.text ? ` ${JSON.stringify(mark.text)}` : ""} - ${mark.selector} (ref=${mark.ref})`
+          );
+          textContent += `\n\nMarks (click with browser_click mark: N):\n${legend.join("\n") || "(no interactive elements visible)"}`;
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: textContent,
+            },
+            ...images.map((image) => ({
+              type: "image",
+              data: image.split(",")[1], // Remove data:image/png;base64, prefix
+              mimeType: `image/${result.format}`,
+            })),
+          ],
+        };
+      }
+
+      case "browser_scroll":
+        result = await sendCommandToExtension("scroll", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_find":
+        result = await sendCommandToExtension("find", args);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_get_current_tab":
+        result = await sendCommandToExtension("getCurrentTab", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_list_tabs":
+        result = await sendCommandToExtension("listTabs", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_activate_tab":
+        result = await sendCommandToExtension("activateTab", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_list_windows":
+        result = await sendCommandToExtension("listWindows", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_create_window":
+        result = await sendCommandToExtension("createWindow", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_close_window":
+        result = await sendCommandToExtension("closeWindow", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_move_tab":
+        result = await sendCommandToExtension("moveTab", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_pin_tab":
+        result = await sendCommandToExtension("pinTab", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_group_tabs":
+        result = await sendCommandToExtension("groupTabs", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_duplicate_tab":
+        result = await sendCommandToExtension("duplicateTab", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_click":
+        result = await sendCommandToExtension("click", args);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_fill_form":
+        result = await sendCommandToExtension("fillForm", args);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_get_page_content": {
+        result = await sendCommandToExtension("getPageContent", args || {});
+
+        // Markdown reads better unescaped than as a JSON string
+        if (typeof result.markdown === "string") {
+          const { markdown, frames, ...pageInfo } = result;
+          const frameMarkdown = (frames || []).filter((frame: any) => typeof frame.markdown === "string");
+          return {
+            content: [
+              {
+                type: "text",
+                text: markdown,
+              },
+              ...frameMarkdown.map((frame: any) => ({
+                type: "text",
+                text: `<!-- frame ${frame.frameId}: ${frame.url} -->\n\n${frame.markdown}`,
+              })),
+              {
+                type: "text",
+                text: JSON.stringify({
+                  ...pageInfo,
+                  ...(frames ? { frames: frames.map(({ markdown, ...frame }: any) => frame) } : {}),
+                }, null, 2),
               },
+            ],
+          };
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
             },
-            required: ["selector", "value"],
-          },
-        },
-        waitForElements: {
-          type: "boolean",
-          description: "Wait for elements to be present before filling (default: true)",
-          default: true,
-        },
-        timeout: {
-          type: "number",
-          description: "Maximum time to wait for elements in milliseconds (default: 5000)",
-          default: 5000,
-        },
-      },
-      required: ["fields"],
-    },
-  },
-  {
-    name: "browser_get_page_content",
-    description: "Get the rendered HTML content, text content, or both from a page after it has loaded. Includes page metadata like title, description, and Open Graph tags.",
-    inputSchema: {
-      type: "object",
-      properties: {
-        tabId: {
-          type: "number",
-          description: "The ID of the tab (optional, uses active tab if not provided)",
-        },
-        format: {
-          type: "string",
-          enum: ["html", "text", "both"],
-          description: "The format of content to retrieve: 'html' for full HTML, 'text' for visible text only, 'both' for both formats (default: html)",
-          default: "html",
-        },
-        includeMetadata: {
-          type: "boolean",
-          description: "Include page metadata like title, description, Open Graph tags, etc. (default: true)",
-          default: true,
-        },
-      },
-    },
-  },
-];
+          ],
+        };
+      }
 
-// Create MCP server
-const server = new Server(
-  {
-    name: "island-browser-mcp",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+      case "browser_navigate":
+      case "browser_go_back":
+      case "browser_go_forward":
+      case "browser_reload": {
+        const navigationCommands: Record<string, string> = {
+          browser_navigate: "navigate",
+          browser_go_back: "goBack",
+          browser_go_forward: "goForward",
+          browser_reload: "reload",
+        };
+        // Leave headroom over the extension's own load timeout
+        const loadTimeout = typeof args?.timeout === "number" ? args.timeout : 30000;
+        result = await sendCommandToExtension(navigationCommands[name], args || {}, loadTimeout + 5000);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
 
-// Handle tool listing
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools };
-});
+      case "browser_type": {
+        // Per-character delays can outlast the default request timeout
+        const text = typeof args?.text === "string" ? args.text : "";
+        const delay = typeof args?.delay === "number" ? args.delay : 0;
+        result = await sendCommandToExtension("type", args, 30000 + text.length * delay);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
 
-// Handle tool execution
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+      case "browser_press_key":
+        result = await sendCommandToExtension("pressKey", args);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
 
-  try {
-    let result: any;
+      case "browser_snapshot":
+        result = await sendCommandToExtension("snapshot", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Tab ${result.tabId}: ${result.title}\nURL: ${result.url}\nNodes: ${result.nodeCount}\n\n${result.snapshot}`,
+            },
+          ],
+        };
 
-    switch (name) {
-      case "browser_open_page":
-        result = await sendCommandToExtension("openPage", args);
+      case "browser_get_console_logs":
+        result = await sendCommandToExtension("getConsoleLogs", args || {});
         return {
           content: [
             {
@@ -461,8 +2466,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_close_page":
-        result = await sendCommandToExtension("closePage", args || {});
+      case "browser_get_network_log":
+        result = await sendCommandToExtension("getNetworkLog", args || {});
         return {
           content: [
             {
@@ -472,54 +2477,214 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_screenshot":
-        result = await sendCommandToExtension("screenshot", args || {});
+      case "browser_export_har": {
+        result = await sendCommandToExtension("getNetworkLog", {
+          browserId: args?.browserId,
+          tabId: args?.tabId,
+          allowOtherTabs: args?.allowOtherTabs,
+          urlPattern: args?.urlPattern,
+          includeBodies: args?.includeBodies,
+          includeSensitiveHeaders: args?.includeSensitiveHeaders,
+          limit: Number.MAX_SAFE_INTEGER,
+        });
 
-        // Handle file saving if requested
-        let savedPath: string | null = null;
-        if (args?.saveToFile) {
-          if (!args.cwd || typeof args.cwd !== "string") {
-            throw new Error("cwd parameter is required when saveToFile is true");
-          }
+        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const harPath = getOutputPath(args?.cwd, "har", args?.filename, `network-${timestamp}.har`);
+        fs.writeFileSync(harPath, JSON.stringify(buildHar(result, "1.0.0"), null, 2));
+        noteSavedFile(harPath);
 
-          // Create the directory structure
-          const imagesDir = path.join(args.cwd as string, ".chrome-mcp-bridge", "images");
-          if (!fs.existsSync(imagesDir)) {
-            fs.mkdirSync(imagesDir, { recursive: true });
-          }
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Exported ${result.entries.length} requests from tab ${result.tabId} to: ${harPath}` +
+                (result.note ? `\n${result.note}` : ""),
+            },
+          ],
+        };
+      }
 
-          // Generate filename if not provided
+      case "browser_evaluate": {
+        if (!EVALUATE_ENABLED) {
+          throw new Error("browser_evaluate is disabled. Start the server with --enable-evaluate to allow it.");
+        }
+        const evaluateTimeout = typeof args?.timeout === "number" ? args.timeout : 30000;
+        result = await sendCommandToExtension("evaluate", args || {}, evaluateTimeout + 5000);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "browser_wait_for": {
+        const waitTimeout = typeof args?.timeout === "number" ? args.timeout : 10000;
+        result = await sendCommandToExtension("waitFor", args || {}, waitTimeout + 5000);
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "browser_start_recording":
+        result = await sendCommandToExtension("startRecording", args || {});
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+
+      case "browser_stop_recording": {
+        result = await sendCommandToExtension("stopRecording", args || {});
+
+        // One tool call per line, in the format --replay reads
+        let scriptPath: string | null = null;
+        if (args?.saveToFile) {
           const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-          const filename = (args.filename as string) || `screenshot-${timestamp}.${result.format}`;
-          savedPath = path.join(imagesDir, filename);
+          scriptPath = getOutputPath(args.cwd, "recordings", args.filename, `recording-${timestamp}.jsonl`);
+          const lines = result.toolCalls.map((call: any, index: number) =>
+            JSON.stringify({ sequence: index + 1, tool: call.tool, arguments: call.arguments }));
+          fs.writeFileSync(scriptPath, lines.join("\n") + "\n");
+          noteSavedFile(scriptPath);
+        }
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: (scriptPath ? `Recording saved to: ${scriptPath}\n\n` : "") + JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "browser_compare_screenshot": {
+        if (typeof args?.name !== "string" || !/^[\w.-]+$/.test(args.name)) {
+          throw new Error("name is required and may only contain letters, digits, '.', '_' and '-'");
+        }
+        const threshold = typeof args.threshold === "number" ? args.threshold : 0.1;
+        const colorThreshold = typeof args.colorThreshold === "number" ? args.colorThreshold : 0.1;
+        const ignoreRegions = (Array.isArray(args.ignoreRegions) ? args.ignoreRegions : []) as Region[];
+        if (!ignoreRegions.every((region) =>
+          [region.x, region.y, region.width, region.height].every((value) => typeof value === "number"))) {
+          throw new Error("Each ignore region needs numeric x, y, width and height");
+        }
 
-          // Extract base64 data and save to file
-          const base64Data = result.screenshot.split(",")[1];
-          const buffer = Buffer.from(base64Data, "base64");
-          fs.writeFileSync(savedPath, buffer);
+        // Lossy JPEG would differ on every run
+        result = await sendCommandToExtension("screenshot", {
+          browserId: args.browserId,
+          tabId: args.tabId,
+          allowOtherTabs: args.allowOtherTabs,
+          selector: args.selector,
+          selectorType: args.selectorType,
+          padding: args.padding,
+          clip: args.clip,
+          fullPage: args.fullPage,
+          hideFixed: args.hideFixed,
+          format: "png",
+        }, args.fullPage ? 120000 : undefined);
+        if (result.segments) {
+          throw new Error(`The page is too tall to compare as one image (${result.segments.length} segments). Compare an element or clip instead.`);
         }
 
-        // Return the screenshot as both text description and image
-        const textContent = savedPath
-          ? `Screenshot captured successfully from tab ${result.tabId} and saved to: ${savedPath}`
-          : `Screenshot captured successfully from tab ${result.tabId}`;
+        const screenshot = Buffer.from(result.screenshot.split(",")[1], "base64");
+        const baselinePath = getOutputPath(args.cwd, path.join("images", "baselines"), `${args.name}.png`, "");
+
+        if (args.update || !fs.existsSync(baselinePath)) {
+          const action = fs.existsSync(baselinePath) ? "Updated" : "Created";
+          fs.writeFileSync(baselinePath, screenshot);
+          noteSavedFile(baselinePath);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `${action} baseline "${args.name}" from tab ${result.tabId}: ${baselinePath}`,
+              },
+              {
+                type: "image",
+                data: screenshot.toString("base64"),
+                mimeType: "image/png",
+              },
+            ],
+          };
+        }
+
+        const baseline = decodePng(fs.readFileSync(baselinePath));
+        const current = decodePng(screenshot);
+        const comparison = compareImages(baseline, current, colorThreshold, ignoreRegions);
+        const diffPath = getOutputPath(args.cwd, path.join("images", "diffs"), `${args.name}.png`, "");
+        const diffImage = encodePng(comparison.diff);
+        fs.writeFileSync(diffPath, diffImage);
+        noteSavedFile(diffPath);
+
+        const summary = {
+          name: args.name,
+          passed: !comparison.sizeMismatch && comparison.mismatchPercentage <= threshold,
+          mismatchPercentage: Math.round(comparison.mismatchPercentage * 1000) / 1000,
+          mismatchedPixels: comparison.mismatchedPixels,
+          comparedPixels: comparison.comparedPixels,
+          threshold,
+          baselineSize: `${baseline.width}x${baseline.height}`,
+          currentSize: `${current.width}x${current.height}`,
+          tabId: result.tabId,
+          baselinePath,
+          diffPath,
+        };
 
         return {
           content: [
             {
               type: "text",
-              text: textContent,
+              text: JSON.stringify(summary, null, 2),
             },
             {
               type: "image",
-              data: result.screenshot.split(",")[1], // Remove data:image/png;base64, prefix
-              mimeType: `image/${result.format}`,
+              data: diffImage.toString("base64"),
+              mimeType: "image/png",
             },
           ],
         };
+      }
 
-      case "browser_scroll":
-        result = await sendCommandToExtension("scroll", args || {});
+      case "browser_print_to_pdf": {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const pdfPath = getOutputPath(args?.cwd, "pdf", args?.filename, `page-${timestamp}.pdf`);
+
+        // Long pages can take a while to lay out and print
+        result = await sendCommandToExtension("printToPdf", args || {}, 120000);
+        const pdf = Buffer.from(result.pdf, "base64");
+        fs.writeFileSync(pdfPath, pdf);
+        noteSavedFile(pdfPath);
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify({
+                path: pdfPath,
+                pageCount: countPdfPages(pdf),
+                size: pdf.length,
+                tabId: result.tabId,
+                url: result.url,
+                title: result.title,
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "browser_get_cookies":
+        result = await sendCommandToExtension("getCookies", args || {});
         return {
           content: [
             {
@@ -529,8 +2694,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_find":
-        result = await sendCommandToExtension("find", args);
+      case "browser_set_cookie":
+        result = await sendCommandToExtension("setCookie", args || {});
         return {
           content: [
             {
@@ -540,8 +2705,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_get_current_tab":
-        result = await sendCommandToExtension("getCurrentTab", {});
+      case "browser_clear_cookies":
+        result = await sendCommandToExtension("clearCookies", args || {});
         return {
           content: [
             {
@@ -551,8 +2716,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_list_tabs":
-        result = await sendCommandToExtension("listTabs", {});
+      case "browser_storage_get":
+        result = await sendCommandToExtension("storageGet", args || {});
         return {
           content: [
             {
@@ -562,8 +2727,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_click":
-        result = await sendCommandToExtension("click", args);
+      case "browser_storage_set":
+        result = await sendCommandToExtension("storageSet", args || {});
         return {
           content: [
             {
@@ -573,8 +2738,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_fill_form":
-        result = await sendCommandToExtension("fillForm", args);
+      case "browser_storage_clear":
+        result = await sendCommandToExtension("storageClear", args || {});
         return {
           content: [
             {
@@ -584,8 +2749,10 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           ],
         };
 
-      case "browser_get_page_content":
-        result = await sendCommandToExtension("getPageContent", args || {});
+      case "browser_list_browsers":
+        result = brokerClient
+          ? await sendRequest(brokerClient, { type: "broker_list_browsers" }, 5000)
+          : listBrowsers();
         return {
           content: [
             {
@@ -609,20 +2776,111 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
+
+// Re-run the tool calls recorded in an audit log against the connected browser
+async function replayAuditLog(file: string) {
+  const entries = readAuditLog(file, REPLAY_SESSION);
+  if (entries.length === 0) {
+    throw new Error(`No tool calls to replay in ${file}${REPLAY_SESSION ? ` for session ${REPLAY_SESSION}` : ""}`);
+  }
+
+  // Wait for a browser, or for the broker when another server owns the port
+  const deadline = Date.now() + 30000;
+  while (extensionConnections.size === 0 && !brokerClient) {
+    if (Date.now() > deadline) {
+      throw new Error("No browser connected within 30 seconds");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+
+  console.error(`Replaying ${entries.length} tool calls from ${file}`);
+  let mismatches = 0;
+  let skipped = 0;
+  // Tab IDs don't survive a browser restart, and replay runs in its own agent session,
+  // so recorded tabs map to the tabs the replayed calls reported
+  const replayedTabs = new Map<number, number>();
+
+  for (const entry of entries) {
+    const label = `#${entry.sequence} ${entry.tool}`;
+
+    // Secrets weren't recorded, so these calls can't be reproduced
+    if (hasRedactedValues(entry.arguments)) {
+      console.error(`${label}: skipped (arguments were redacted)`);
+      skipped++;
+      continue;
+    }
+
+    const started = Date.now();
+    const { result, target } = await collectAuditTarget<any>(() =>
+      callTool(entry.tool, mapReplayTabIds(entry.arguments, replayedTabs)));
+    if (typeof entry.tabId === "number" && typeof target.tabId === "number") {
+      replayedTabs.set(entry.tabId, target.tabId);
+    }
+    const outcome = result.isError ? "error" : "success";
+    const detail = result.isError ? `: ${result.content[0].text}` : "";
+    // Recorded scripts (browser_stop_recording) have no outcome; every call should succeed
+    const expected = entry.outcome || "success";
+
+    if (outcome === expected) {
+      console.error(`${label}: ${outcome} (${Date.now() - started}ms)${detail}`);
+    } else {
+      mismatches++;
+      console.error(`${label}: ${outcome}, expected ${expected} (${Date.now() - started}ms)${detail}`);
+      if (entry.error) {
+        console.error(`  recorded: ${entry.error}`);
+      }
+    }
+
+    if (REPLAY_DELAY > 0) {
+      await new Promise((resolve) => setTimeout(resolve, REPLAY_DELAY));
+    }
+  }
+
+  console.error(`Replay finished: ${entries.length - skipped} run, ${skipped} skipped, ${mismatches} with a different outcome`);
+  return mismatches;
+}
+
+// Swap recorded tab IDs for the replay's own tabs. Tabs the replay hasn't seen are
+// dropped, so the call acts on the session's current tab.
+function mapReplayTabIds(args: Record<string, unknown>, replayedTabs: Map<number, number>) {
+  const mapped = { ...args };
+  if (typeof mapped.tabId === "number") {
+    const tabId = replayedTabs.get(mapped.tabId);
+    if (tabId === undefined) {
+      delete mapped.tabId;
+    } else {
+      mapped.tabId = tabId;
+    }
+  }
+  if (Array.isArray(mapped.tabIds)) {
+    mapped.tabIds = mapped.tabIds.map((tabId) => replayedTabs.get(tabId)).filter((tabId) => tabId !== undefined);
+  }
+  return mapped;
+}
 
 // Start the server
 async function main() {
+  if (REPLAY_FILE) {
+    const mismatches = await replayAuditLog(REPLAY_FILE);
+    process.exitCode = mismatches > 0 ? 1 : 0;
+    await endAgentSession();
+    shutdownWebSocket();
+    return;
+  }
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("Island Browser MCP server running on stdio");
+  if (auditLog) {
+    console.error(`Audit log: ${auditLog.filePath}`);
+  }
 
   // When stdin closes, close the WebSocket server to allow process to exit
+  // (a broker client then takes over the port)
   process.stdin.on("end", () => {
     console.error("Stdin closed, shutting down WebSocket server...");
-    wss.close(() => {
-      console.error("WebSocket server closed");
-    });
+    endAgentSession().finally(shutdownWebSocket);
   });
 }
 
@@ -0,0 +1,195 @@
+// Minimal PNG decoder and encoder for comparing screenshots without native dependencies.
+// Decodes 8-bit, non-interlaced images of any color type (what Chrome and most tools write).
+
+import { deflateSync, inflateSync } from "zlib";
+
+export interface RgbaImage {
+  width: number;
+  height: number;
+  // 4 bytes per pixel, rows top to bottom
+  data: Buffer;
+}
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each color type: gray, RGB, palette, gray + alpha, RGBA
+const CHANNELS: Record<number, number> = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer: Buffer): number {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left: number, up: number, upLeft: number): number {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) {
+    return left;
+  }
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+export function decodePng(buffer: Buffer): RgbaImage {
+  if (buffer.length < SIGNATURE.length || !buffer.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw new Error("Not a PNG image");
+  }
+
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  let palette: Buffer | null = null;
+  let transparency: Buffer | null = null;
+  const compressed: Buffer[] = [];
+
+  for (let offset = SIGNATURE.length; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === "IHDR") {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      colorType = chunk[9];
+      if (chunk[8] !== 8) {
+        throw new Error(`Unsupported PNG bit depth ${chunk[8]} (only 8-bit images can be compared)`);
+      }
+      if (!(colorType in CHANNELS)) {
+        throw new Error(`Unsupported PNG color type ${colorType}`);
+      }
+      if (chunk[12] !== 0) {
+        throw new Error("Interlaced PNG images are not supported");
+      }
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      compressed.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (width === 0 || height === 0) {
+    throw new Error("PNG image has no header or no pixels");
+  }
+
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = inflateSync(Buffer.concat(compressed));
+  if (raw.length < (stride + 1) * height) {
+    throw new Error("PNG image data is truncated");
+  }
+
+  // Undo the per-row filters in place
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[row + x - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[row - stride + x - channels] : 0;
+      let predicted: number;
+      switch (filter) {
+        case 0:
+          predicted = 0;
+          break;
+        case 1:
+          predicted = left;
+          break;
+        case 2:
+          predicted = up;
+          break;
+        case 3:
+          predicted = (left + up) >> 1;
+          break;
+        case 4:
+          predicted = paeth(left, up, upLeft);
+          break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+      pixels[row + x] = (source[x] + predicted) & 0xff;
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    const out = i * 4;
+    switch (colorType) {
+      case 0:
+        data.fill(pixels[j], out, out + 3);
+        data[out + 3] = 255;
+        break;
+      case 2:
+        pixels.copy(data, out, j, j + 3);
+        data[out + 3] = 255;
+        break;
+      case 3: {
+        const index = pixels[j];
+        if (palette) {
+          palette.copy(data, out, index * 3, index * 3 + 3);
+        }
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        data.fill(pixels[j], out, out + 3);
+        data[out + 3] = pixels[j + 1];
+        break;
+      case 6:
+        pixels.copy(data, out, j, j + 4);
+        break;
+    }
+  }
+
+  return { width, height, data };
+}
+
+function chunk(type: string, data: Buffer): Buffer {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+// Encode as an 8-bit RGBA PNG
+export function encodePng(image: RgbaImage): Buffer {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  // Every row uses filter type 0 (none)
+  const stride = image.width * 4;
+  const raw = Buffer.alloc((stride + 1) * image.height);
+  for (let y = 0; y < image.height; y++) {
+    image.data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}